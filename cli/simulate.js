@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Headless Simulation for Bouncing Balls Editor
+ * Runs a saved project in Node, without the page: loads the simulation
+ * core scripts (the same files index.html loads), simulates N frames and
+ * prints or saves the final state as JSON.
+ *
+ *   node cli/simulate.js project.json --frames 1200 --seed tornado-42 --balls 12 --out state.json
+ *
+ * Projects carry their rule program as generated JS (the `program` key,
+ * written by Save Project), so Blockly isn't needed here. Results match the
+ * browser when the `seedrandom` package is installed; otherwise a built-in
+ * generator is injected and the run is deterministic but different.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Console } = require('console');
+
+// ============================================================================
+// SIMULATION CORE
+// ============================================================================
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// DOM-free scripts, in index.html order
+const CORE_SCRIPTS = [
+  'utils.js',
+  'arena.js',
+  'obstacles.js',
+  'forces.js',
+  'physics.js',
+  'midi.js',
+  'music.js',
+  'history.js',
+  'program.js',
+  'project.js'
+];
+
+/**
+ * Seeded generator factory for setRngFactory(): seedrandom when available
+ * (the browser's generator), else a small mulberry32 with the same
+ * state()/restore contract
+ */
+function createRngFactory() {
+  try {
+    const seedrandom = require('seedrandom');
+    return (seed, saved) => (saved
+      ? seedrandom('', { state: saved })
+      : seedrandom(seed, { state: true }));
+  } catch {
+    console.warn('seedrandom not installed; using the built-in generator (results differ from the browser)');
+    return createFallbackRng;
+  }
+}
+
+function createFallbackRng(seed, saved) {
+  let a = saved ? saved.a : hashSeed(String(seed));
+  const next = () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.state = () => ({ a });
+  return next;
+}
+
+function hashSeed(text) {
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Load a fresh copy of the simulation core into its own context and return
+ * its `window` (state, tick, spawnBall, ...)
+ */
+function loadSimulationCore(options = {}) {
+  // Rule and engine logging goes to stderr, keeping stdout for the JSON
+  const sim = vm.createContext({ console: new Console({ stdout: process.stderr }), performance });
+  sim.window = sim;
+  for (const file of CORE_SCRIPTS) {
+    const code = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+    vm.runInContext(code, sim, { filename: file });
+  }
+  sim.setRngFactory(options.rngFactory || createRngFactory());
+  return sim;
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+/**
+ * Set up a project the way Spawn Init does in the page, then tick it
+ */
+function simulateProject(sim, project, options) {
+  sim.loadProjectSections(project);
+  sim.reset();
+
+  if (project.program) {
+    sim.state.program = sim.compileProgramCode(project.program);
+  } else {
+    console.warn('Project has no generated program (saved before headless support); running without rules');
+  }
+
+  sim.applySeed(options.seed);
+  for (let i = 0; i < options.balls; i++) sim.spawnBall();
+
+  for (let frame = 0; frame < options.frames; frame++) {
+    sim.tick(sim.state.dt);
+  }
+
+  const snapshot = sim.createStateSnapshot(options.frames);
+  return {
+    frame: options.frames,
+    seed: options.seed,
+    t: snapshot.t,
+    score: snapshot.score,
+    ballCount: snapshot.balls.length,
+    balls: snapshot.balls,
+    vars: snapshot.vars,
+    forceFields: snapshot.forceFields
+  };
+}
+
+function parseArgs(argv) {
+  const options = { frames: 600, seed: 'tornado-42', balls: 12, out: null, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--frames') options.frames = Math.max(0, parseInt(argv[++i], 10) || 0);
+    else if (arg === '--seed') options.seed = argv[++i];
+    else if (arg === '--balls') options.balls = Math.max(0, Math.min(2000, parseInt(argv[++i], 10) || 0));
+    else if (arg === '--out') options.out = argv[++i];
+    else if (!options.file) options.file = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!options.file) throw new Error('Usage: node cli/simulate.js project.json [--frames N] [--seed S] [--balls N] [--out file]');
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const sim = loadSimulationCore();
+  const project = sim.parseProjectText(fs.readFileSync(options.file, 'utf8'));
+
+  const started = Date.now();
+  const result = simulateProject(sim, project, options);
+  console.warn(`Simulated ${options.frames} frames in ${Date.now() - started} ms: ${result.ballCount} balls, score ${result.score}`);
+
+  const text = JSON.stringify(result, null, 2);
+  if (options.out) fs.writeFileSync(options.out, text + '\n');
+  else process.stdout.write(text + '\n');
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { CORE_SCRIPTS, loadSimulationCore, simulateProject };
@@ -0,0 +1,620 @@
+/**
+ * Arena Shape Geometry for Bouncing Balls Editor
+ * Every arena outline exposes the same small interface, so the physics
+ * engines and the renderer never do shape-specific math themselves.
+ */
+
+// ============================================================================
+// SHAPE REGISTRY
+// ============================================================================
+
+/**
+ * Each shape works in arena-local coordinates (origin at the arena center,
+ * before `arena.rotation` is applied) and provides:
+ *   distance(arena, lx, ly) -> { d, nx, ny }  signed distance to the wall
+ *                                              (positive outside) + outward normal
+ *   trace(ctx, arena)                          outline path for rendering
+ *   extent(arena)                              radius of a circle enclosing the shape
+ * and optionally:
+ *   contact(arena, ball)                       replaces the generic wall contact
+ *   boundaryDistance(arena, angle)             exact center-to-wall distance
+ */
+const ArenaShapes = {};
+
+function registerArenaShape(name, shape) {
+  ArenaShapes[name] = shape;
+}
+
+function getArenaShape(arena) {
+  return ArenaShapes[arena.shape] || ArenaShapes.circle;
+}
+
+// Rounded rectangle signed distance, shared by roundedRect and stadium
+function roundedRectDistance(lx, ly, hw, hh, cr) {
+  const sx = lx < 0 ? -1 : 1;
+  const sy = ly < 0 ? -1 : 1;
+  const qx = Math.abs(lx) - (hw - cr);
+  const qy = Math.abs(ly) - (hh - cr);
+
+  if (qx > 0 && qy > 0) {
+    const len = Math.hypot(qx, qy);
+    return { d: len - cr, nx: sx * qx / len, ny: sy * qy / len };
+  }
+  if (qx > qy) {
+    return { d: qx - cr, nx: sx, ny: 0 };
+  }
+  return { d: qy - cr, nx: 0, ny: sy };
+}
+
+function traceRoundedRect(ctx, hw, hh, cr) {
+  ctx.moveTo(-hw + cr, -hh);
+  ctx.lineTo(hw - cr, -hh);
+  ctx.arc(hw - cr, -hh + cr, cr, -Math.PI / 2, 0);
+  ctx.lineTo(hw, hh - cr);
+  ctx.arc(hw - cr, hh - cr, cr, 0, Math.PI / 2);
+  ctx.lineTo(-hw + cr, hh);
+  ctx.arc(-hw + cr, hh - cr, cr, Math.PI / 2, Math.PI);
+  ctx.lineTo(-hw, -hh + cr);
+  ctx.arc(-hw + cr, -hh + cr, cr, Math.PI, Math.PI * 1.5);
+  ctx.closePath();
+}
+
+registerArenaShape('circle', {
+  label: 'Circle',
+  distance(arena, lx, ly) {
+    const len = Math.hypot(lx, ly);
+    if (len < 1e-9) return { d: -arena.r, nx: 1, ny: 0 };
+    return { d: len - arena.r, nx: lx / len, ny: ly / len };
+  },
+  trace(ctx, arena) {
+    ctx.arc(0, 0, arena.r, 0, Math.PI * 2);
+  },
+  boundaryDistance(arena) {
+    return arena.r;
+  },
+  extent(arena) {
+    return arena.r;
+  }
+});
+
+// Regular polygon with circumradius arena.r; edge 0 always faces straight up
+registerArenaShape('polygon', {
+  label: 'Polygon',
+  distance(arena, lx, ly) {
+    const n = Math.max(3, arena.sides | 0);
+    const apothem = arena.r * Math.cos(Math.PI / n);
+    let best = -Infinity;
+    let bnx = 0;
+    let bny = -1;
+
+    for (let k = 0; k < n; k++) {
+      const phi = -Math.PI / 2 + (k * 2 * Math.PI) / n;
+      const nx = Math.cos(phi);
+      const ny = Math.sin(phi);
+      const d = lx * nx + ly * ny - apothem;
+      if (d > best) {
+        best = d;
+        bnx = nx;
+        bny = ny;
+      }
+    }
+
+    return { d: best, nx: bnx, ny: bny };
+  },
+  trace(ctx, arena) {
+    const n = Math.max(3, arena.sides | 0);
+    for (let k = 0; k < n; k++) {
+      const a = -Math.PI / 2 + (k * 2 * Math.PI) / n + Math.PI / n;
+      const x = Math.cos(a) * arena.r;
+      const y = Math.sin(a) * arena.r;
+      if (k === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+  },
+  extent(arena) {
+    return arena.r;
+  }
+});
+
+// Rectangle of half-height arena.r and half-width arena.r * aspect
+registerArenaShape('roundedRect', {
+  label: 'Rounded Rectangle',
+  dims(arena) {
+    const hw = arena.r * arena.aspect;
+    const hh = arena.r;
+    const cr = Math.min(hw, hh) * utils.clamp(arena.cornerRadius, 0, 1);
+    return { hw, hh, cr };
+  },
+  distance(arena, lx, ly) {
+    const { hw, hh, cr } = this.dims(arena);
+    return roundedRectDistance(lx, ly, hw, hh, cr);
+  },
+  trace(ctx, arena) {
+    const { hw, hh, cr } = this.dims(arena);
+    traceRoundedRect(ctx, hw, hh, cr);
+  },
+  extent(arena) {
+    const { hw, hh } = this.dims(arena);
+    return Math.hypot(hw, hh);
+  }
+});
+
+// Pill shape: a rounded rectangle whose corner radius is half its short side
+registerArenaShape('stadium', {
+  label: 'Stadium',
+  dims(arena) {
+    const hw = arena.r * arena.aspect;
+    const hh = arena.r;
+    return { hw, hh, cr: Math.min(hw, hh) };
+  },
+  distance(arena, lx, ly) {
+    const { hw, hh, cr } = this.dims(arena);
+    return roundedRectDistance(lx, ly, hw, hh, cr);
+  },
+  trace(ctx, arena) {
+    const { hw, hh, cr } = this.dims(arena);
+    traceRoundedRect(ctx, hw, hh, cr);
+  },
+  extent(arena) {
+    const { hw, hh } = this.dims(arena);
+    return Math.max(hw, hh);
+  }
+});
+
+// ============================================================================
+// CONCENTRIC RINGS ("escape the rings")
+// ============================================================================
+
+/**
+ * A ring is a thin circular wall with its own rotating gap. Balls bounce off
+ * both sides of it; `breaksOnEscape` rings disappear once a ball gets out.
+ */
+function createRing(props = {}) {
+  const startAngle = props.startAngle ?? -Math.PI / 2;
+  return {
+    r: props.r ?? 200,
+    startAngle,
+    gapAngle: props.gapAngle ?? startAngle,
+    gapWidth: props.gapWidth ?? 0.5,
+    angularVelocity: props.angularVelocity ?? 0.8, // radians per second
+    color: props.color ?? '#3f6fff',
+    breaksOnEscape: props.breaksOnEscape ?? true,
+    broken: false
+  };
+}
+
+const RING_COLORS = ['#3f6fff', '#8a5cff', '#ff5cc8', '#ff7a45', '#ffd24a', '#4ade80', '#22d3ee', '#f87171'];
+
+/**
+ * Evenly spaced rings from 35% of the arena radius out to its edge,
+ * alternating spin direction so neighbouring gaps drift past each other
+ */
+function createDefaultRings(arena, count = 4) {
+  const rings = [];
+  const inner = arena.r * 0.35;
+  const step = count > 1 ? (arena.r - inner) / (count - 1) : 0;
+
+  for (let i = 0; i < count; i++) {
+    rings.push(createRing({
+      r: inner + step * i,
+      startAngle: -Math.PI / 2 + i * 0.9,
+      gapWidth: 0.55 - i * 0.05,
+      angularVelocity: (i % 2 === 0 ? 1 : -1) * (0.9 + i * 0.25),
+      color: RING_COLORS[i % RING_COLORS.length]
+    }));
+  }
+
+  return rings;
+}
+
+function setArenaRings(arena, rings) {
+  arena.rings = rings.slice().sort((a, b) => a.r - b.r);
+}
+
+function isAngleInRingGap(ring, angle) {
+  const d = Math.atan2(Math.sin(angle - ring.gapAngle), Math.cos(angle - ring.gapAngle));
+  return Math.abs(d) < ring.gapWidth / 2;
+}
+
+function getOuterRingRadius(arena) {
+  const rings = arena.rings || [];
+  return rings.length ? rings[rings.length - 1].r : arena.r;
+}
+
+/**
+ * Spin every ring gap forward by one simulation step
+ */
+function updateArenaRings(arena, dt) {
+  for (const ring of arena.rings || []) {
+    ring.gapAngle += ring.angularVelocity * dt;
+  }
+}
+
+/**
+ * Put every ring back together and rewind its gap to the start angle
+ */
+function resetArenaRings(arena) {
+  for (const ring of arena.rings || []) {
+    ring.broken = false;
+    ring.gapAngle = ring.startAngle;
+  }
+}
+
+/**
+ * Indices of intact, breakable rings the ball is currently passing out through
+ */
+function findEscapedRings(arena, ball) {
+  const dx = ball.x - arena.cx;
+  const dy = ball.y - arena.cy;
+  const dist = Math.hypot(dx, dy);
+  if (dist < 1e-9) return [];
+
+  const angle = Math.atan2(dy, dx);
+  const radialVelocity = (ball.vx * dx + ball.vy * dy) / dist;
+  const escaped = [];
+
+  (arena.rings || []).forEach((ring, index) => {
+    if (ring.broken || !ring.breaksOnEscape) return;
+    if (radialVelocity <= 0) return;
+    if (dist <= ring.r || dist - ring.r >= ball.r) return;
+    if (isAngleInRingGap(ring, angle)) escaped.push(index);
+  });
+
+  return escaped;
+}
+
+registerArenaShape('rings', {
+  label: 'Concentric Rings',
+  contact(arena, ball) {
+    const dx = ball.x - arena.cx;
+    const dy = ball.y - arena.cy;
+    const dist = Math.hypot(dx, dy);
+    const angle = Math.atan2(dy, dx);
+    const ux = dist > 1e-9 ? dx / dist : 1;
+    const uy = dist > 1e-9 ? dy / dist : 0;
+    const intact = (arena.rings || []).filter(ring => !ring.broken);
+
+    // Outside every intact ring means the ball is out of the arena
+    const outer = intact[intact.length - 1];
+    const exitRadius = outer ? outer.r : getOuterRingRadius(arena) + ball.r;
+    if (dist > exitRadius) {
+      return { overlap: dist - exitRadius, nx: ux, ny: uy, angle, inGap: true };
+    }
+
+    // Otherwise bounce off whichever ring wall the ball digs into deepest
+    let best = null;
+    for (const ring of intact) {
+      if (isAngleInRingGap(ring, angle)) continue;
+
+      const inside = dist <= ring.r;
+      const overlap = inside ? dist + ball.r - ring.r : ring.r - (dist - ball.r);
+      if (overlap > 0 && (!best || overlap > best.overlap)) {
+        best = {
+          overlap,
+          nx: inside ? ux : -ux,
+          ny: inside ? uy : -uy,
+          angle,
+          inGap: false,
+          ring: arena.rings.indexOf(ring)
+        };
+      }
+    }
+
+    return best;
+  },
+  distance(arena, lx, ly) {
+    // Distance to the innermost intact ring that still encloses the point
+    const len = Math.hypot(lx, ly);
+    const nx = len > 1e-9 ? lx / len : 1;
+    const ny = len > 1e-9 ? ly / len : 0;
+    const ring = (arena.rings || []).find(r => !r.broken && r.r >= len);
+    return { d: len - (ring ? ring.r : getOuterRingRadius(arena)), nx, ny };
+  },
+  boundaryDistance(arena) {
+    // New balls start inside the innermost intact ring
+    const ring = (arena.rings || []).find(r => !r.broken);
+    return ring ? ring.r : getOuterRingRadius(arena);
+  },
+  trace(ctx, arena) {
+    ctx.arc(0, 0, getOuterRingRadius(arena), 0, Math.PI * 2);
+  },
+  extent(arena) {
+    return getOuterRingRadius(arena);
+  }
+});
+
+// ============================================================================
+// ANIMATED ARENA PARAMETERS
+// ============================================================================
+
+const ARENA_MOTION_CHANNELS = ['gapAngle', 'gapWidth', 'r'];
+
+/**
+ * Motion spec for one arena parameter. Values are a pure function of
+ * simulation time, so stepping and re-running always land on the same arena:
+ *   none       parameter stays wherever it is
+ *   constant   base + rate * t               (e.g. a gap spinning at rate rad/s)
+ *   oscillate  base + amplitude * sin(2πt / period)
+ *   ramp       base → target, linearly over `duration` seconds, then holds
+ */
+function createMotion(props = {}) {
+  return {
+    mode: props.mode ?? 'none',
+    base: props.base ?? 0,
+    rate: props.rate ?? 0,
+    amplitude: props.amplitude ?? 0,
+    period: props.period ?? 2,
+    target: props.target ?? 0,
+    duration: props.duration ?? 5
+  };
+}
+
+function evaluateMotion(motion, t) {
+  switch (motion.mode) {
+    case 'constant':
+      return motion.base + motion.rate * t;
+    case 'oscillate':
+      return motion.base + motion.amplitude * Math.sin((Math.PI * 2 * t) / Math.max(1e-3, motion.period));
+    case 'ramp': {
+      const k = motion.duration > 0 ? utils.clamp(t / motion.duration, 0, 1) : 1;
+      return utils.lerp(motion.base, motion.target, k);
+    }
+    default:
+      return motion.base;
+  }
+}
+
+/**
+ * Configure how an arena parameter moves. Switching a parameter from static
+ * to animated takes its current value as the base (its value at t = 0).
+ */
+function setArenaMotion(arena, channel, props) {
+  if (!ARENA_MOTION_CHANNELS.includes(channel)) return;
+  const prev = arena.motion[channel];
+  const motion = createMotion({ ...prev, ...props });
+
+  if (props.base === undefined && (!prev || prev.mode === 'none')) {
+    motion.base = arena[channel];
+  }
+  if (motion.mode === 'none' && prev && prev.mode !== 'none') {
+    arena[channel] = prev.base; // settle back to the configured value
+  }
+
+  arena.motion[channel] = motion;
+}
+
+/**
+ * Apply every animated channel for simulation time t
+ */
+function updateArenaMotion(arena, t) {
+  for (const channel of ARENA_MOTION_CHANNELS) {
+    const motion = arena.motion[channel];
+    if (!motion || motion.mode === 'none') continue;
+
+    let value = evaluateMotion(motion, t);
+    if (channel !== 'gapAngle') value = Math.max(channel === 'r' ? 10 : 0, value);
+    arena[channel] = value;
+  }
+}
+
+/**
+ * Everything about the arena that changes while the simulation runs
+ */
+function captureArenaState(arena) {
+  return {
+    gapAngle: arena.gapAngle,
+    gapWidth: arena.gapWidth,
+    r: arena.r,
+    rings: (arena.rings || []).map(ring => ({
+      gapAngle: ring.gapAngle,
+      broken: ring.broken
+    }))
+  };
+}
+
+function restoreArenaState(arena, saved) {
+  if (!saved) return;
+  arena.gapAngle = saved.gapAngle;
+  arena.gapWidth = saved.gapWidth;
+  arena.r = saved.r;
+
+  // Ring state only applies while the ring layout hasn't been edited since
+  if (saved.rings && saved.rings.length === arena.rings.length) {
+    saved.rings.forEach((ringState, i) => {
+      arena.rings[i].gapAngle = ringState.gapAngle;
+      arena.rings[i].broken = ringState.broken;
+    });
+  }
+}
+
+/**
+ * The arena as designed (shape, gaps, rings, motion) as plain data, for
+ * files that have to rebuild it elsewhere
+ */
+const ARENA_DESIGN_KEYS = ['cx', 'cy', 'r', 'gapAngle', 'gapWidth', 'gapCount', 'shape', 'sides', 'rotation', 'aspect', 'cornerRadius'];
+
+function serializeArenaDesign(arena) {
+  const data = {};
+  for (const key of ARENA_DESIGN_KEYS) data[key] = arena[key];
+  data.rings = arena.rings.map(ring => ({ ...ring }));
+  data.motion = {};
+  for (const [channel, motion] of Object.entries(arena.motion)) data.motion[channel] = { ...motion };
+  return data;
+}
+
+function applyArenaDesign(arena, data) {
+  if (!data) return;
+  for (const key of ARENA_DESIGN_KEYS) {
+    if (key in data) arena[key] = data[key];
+  }
+  setArenaRings(arena, (data.rings || []).map(createRing));
+  arena.motion = {};
+  for (const [channel, motion] of Object.entries(data.motion || {})) {
+    if (ARENA_MOTION_CHANNELS.includes(channel)) arena.motion[channel] = createMotion(motion);
+  }
+}
+
+// ============================================================================
+// SHAPE-AGNOSTIC QUERIES
+// ============================================================================
+
+/**
+ * Signed distance from a world point to the arena wall (positive outside)
+ * with the outward wall normal in world coordinates
+ */
+function arenaSignedDistance(arena, x, y) {
+  const rot = arena.rotation || 0;
+  const cos = Math.cos(rot);
+  const sin = Math.sin(rot);
+  const dx = x - arena.cx;
+  const dy = y - arena.cy;
+
+  // Rotate into arena-local space
+  const lx = dx * cos + dy * sin;
+  const ly = -dx * sin + dy * cos;
+  const res = getArenaShape(arena).distance(arena, lx, ly);
+
+  // Rotate the normal back into world space
+  return {
+    d: res.d,
+    nx: res.nx * cos - res.ny * sin,
+    ny: res.nx * sin + res.ny * cos
+  };
+}
+
+/**
+ * Whether a polar angle (around the arena center) falls inside one of the
+ * `gapCount` gaps spaced evenly around the perimeter, starting at gapAngle
+ */
+function isAngleInGap(arena, angle) {
+  const count = Math.max(1, arena.gapCount | 0);
+  const spacing = (Math.PI * 2) / count;
+  let d = Math.atan2(Math.sin(angle - arena.gapAngle), Math.cos(angle - arena.gapAngle));
+
+  if (count > 1) {
+    d = ((d % spacing) + spacing) % spacing;
+    if (d > spacing / 2) d -= spacing;
+  }
+
+  return Math.abs(d) < arena.gapWidth / 2;
+}
+
+/**
+ * Wall contact for a ball, or null when it is fully inside the arena.
+ * `nx/ny` point into the wall, `overlap` is the penetration depth and
+ * `inGap` tells whether the contact sits inside a gap.
+ */
+function arenaContact(arena, ball) {
+  const shape = getArenaShape(arena);
+  if (shape.contact) return shape.contact(arena, ball);
+  
+  const s = arenaSignedDistance(arena, ball.x, ball.y);
+  const overlap = s.d + ball.r;
+  if (overlap <= 0) return null;
+
+  const angle = Math.atan2(ball.y - arena.cy, ball.x - arena.cx);
+  return {
+    overlap,
+    nx: s.nx,
+    ny: s.ny,
+    angle,
+    inGap: isAngleInGap(arena, angle)
+  };
+}
+
+/**
+ * Distance from the arena center to the wall along a polar angle
+ */
+function arenaBoundaryDistance(arena, angle) {
+  const shape = getArenaShape(arena);
+  if (shape.boundaryDistance) return shape.boundaryDistance(arena, angle);
+
+  const cx = Math.cos(angle);
+  const cy = Math.sin(angle);
+  let lo = 0;
+  let hi = shape.extent(arena) * 1.01;
+
+  // Bisection along the ray; every shape is convex and star-shaped around the center
+  for (let i = 0; i < 32; i++) {
+    const mid = (lo + hi) / 2;
+    const d = arenaSignedDistance(arena, arena.cx + cx * mid, arena.cy + cy * mid).d;
+    if (d < 0) lo = mid;
+    else hi = mid;
+  }
+
+  return (lo + hi) / 2;
+}
+
+// ============================================================================
+// RENDERING HELPERS
+// ============================================================================
+
+/**
+ * Append the arena outline to the current canvas path
+ */
+function traceArenaOutline(ctx, arena) {
+  ctx.save();
+  ctx.translate(arena.cx, arena.cy);
+  ctx.rotate(arena.rotation || 0);
+  getArenaShape(arena).trace(ctx, arena);
+  ctx.restore();
+}
+
+/**
+ * Append the wall section covered by gap `index` to the current canvas path
+ */
+function traceArenaGap(ctx, arena, index = 0) {
+  const count = Math.max(1, arena.gapCount | 0);
+  const center = arena.gapAngle + (index * Math.PI * 2) / count;
+  const a1 = center - arena.gapWidth / 2;
+  const a2 = center + arena.gapWidth / 2;
+
+  if (getArenaShape(arena) === ArenaShapes.circle) {
+    ctx.arc(arena.cx, arena.cy, arena.r, a1, a2);
+    return;
+  }
+
+  const segments = 24;
+  for (let i = 0; i <= segments; i++) {
+    const a = a1 + ((a2 - a1) * i) / segments;
+    const dist = arenaBoundaryDistance(arena, a);
+    const x = arena.cx + Math.cos(a) * dist;
+    const y = arena.cy + Math.sin(a) * dist;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.ArenaShapes = ArenaShapes;
+window.registerArenaShape = registerArenaShape;
+window.getArenaShape = getArenaShape;
+window.arenaSignedDistance = arenaSignedDistance;
+window.isAngleInGap = isAngleInGap;
+window.arenaContact = arenaContact;
+window.arenaBoundaryDistance = arenaBoundaryDistance;
+window.traceArenaOutline = traceArenaOutline;
+window.traceArenaGap = traceArenaGap;
+
+// Ring helpers
+window.createRing = createRing;
+window.createDefaultRings = createDefaultRings;
+window.setArenaRings = setArenaRings;
+window.isAngleInRingGap = isAngleInRingGap;
+window.updateArenaRings = updateArenaRings;
+window.resetArenaRings = resetArenaRings;
+window.findEscapedRings = findEscapedRings;
+
+// Motion and state helpers
+window.createMotion = createMotion;
+window.evaluateMotion = evaluateMotion;
+window.setArenaMotion = setArenaMotion;
+window.updateArenaMotion = updateArenaMotion;
+window.captureArenaState = captureArenaState;
+window.restoreArenaState = restoreArenaState;
+window.serializeArenaDesign = serializeArenaDesign;
+window.applyArenaDesign = applyArenaDesign;
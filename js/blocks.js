@@ -11,6 +11,18 @@ if (!JS) {
 JS?.addReservedWords && JS.addReservedWords('api,program,utils,rng');
 const G = (JS && (JS.forBlock || JS));
 
+// Program variables live in state.vars (reached through api.vars) rather than
+// in the compiled closure, so simulation snapshots capture them. The built-in
+// blocks with a VAR field are regenerated further down to use them; procedure
+// parameters and loop helpers stay ordinary locals.
+if (JS && typeof JS.init === 'function') {
+  const initGenerator = JS.init.bind(JS);
+  JS.init = function(workspace) {
+    initGenerator(workspace);
+    delete this.definitions_['variables']; // no top-level `var` for api.vars names
+  };
+}
+
 // ============================================================================
 // WORKSPACE ACCESS HELPER
 // ============================================================================
@@ -537,6 +549,32 @@ Blockly.Blocks['event_exit'] = {
   }
 };
 
+Blockly.Blocks['event_ring_break'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('When')
+      .appendField(new FieldParameter('ball'), 'PARAM_BALL')
+      .appendField('breaks')
+      .appendField(new FieldParameter('ring'), 'PARAM_RING');
+    this.appendStatementInput('DO');
+    this.setColour('#5CA699');
+    this.setTooltip('Rings arena only - ring is its number counting from the innermost (1)');
+  }
+};
+
+Blockly.Blocks['event_obstacle_hit'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('When')
+      .appendField(new FieldParameter('ball'), 'PARAM_BALL')
+      .appendField('hits')
+      .appendField(new FieldParameter('obstacle'), 'PARAM_OBSTACLE');
+    this.appendStatementInput('DO');
+    this.setColour('#5CA699');
+    this.setTooltip('Called when a ball bounces off a peg, bar or arc - the obstacle has x, y and a color you can set');
+  }
+};
+
 // ============================================================================
 // ACTION BLOCKS (Enhanced to accept parameter connections)
 // ============================================================================
@@ -645,6 +683,29 @@ Blockly.Blocks['action_set_color'] = {
   }
 };
 
+Blockly.Blocks['action_set_exit'] = {
+  init() {
+    this.appendValueInput('BALL')
+      .setCheck(null)
+      .appendField('When');
+    this.appendDummyInput()
+      .appendField('exits gap')
+      .appendField(new Blockly.FieldDropdown([
+        ['respawn at center', 'center'],
+        ['respawn at random spot', 'random'],
+        ['wrap to other side', 'wrap'],
+        ['let it fly away', 'flyAway'],
+        ['destroy it', 'destroy'],
+        ['use arena default', 'default']
+      ]), 'POLICY');
+    this.setInputsInline(true);
+    this.setColour('#5C81A6');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Override what happens when this ball leaves through a gap - connect a ball parameter or leave empty for current ball');
+  }
+};
+
 Blockly.Blocks['action_log'] = {
   init() {
     this.appendValueInput('MSG')
@@ -667,6 +728,16 @@ Blockly.Blocks['action_score'] = {
   }
 };
 
+Blockly.Blocks['action_stop_recording'] = {
+  init() {
+    this.appendDummyInput().appendField('stop recording');
+    this.setColour('#5C81A6');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Ends the recording or offline render after the recording plan\'s tail');
+  }
+};
+
 // ============================================================================
 // ENHANCED CODE GENERATORS
 // ============================================================================
@@ -707,6 +778,22 @@ G['event_exit'] = function(block, g) {
   return `api.register("onExit", function(${paramName}){\n${s}});\n`;
 };
 
+G['event_ring_break'] = function(block, g) {
+  const gen = g || JS;
+  const paramBall = block.getFieldValue('PARAM_BALL') || 'ball';
+  const paramRing = block.getFieldValue('PARAM_RING') || 'ring';
+  const s = gen.statementToCode(block, 'DO');
+  return `api.register("onRingBreak", function(${paramBall},${paramRing}){\n${s}});\n`;
+};
+
+G['event_obstacle_hit'] = function(block, g) {
+  const gen = g || JS;
+  const paramBall = block.getFieldValue('PARAM_BALL') || 'ball';
+  const paramObstacle = block.getFieldValue('PARAM_OBSTACLE') || 'obstacle';
+  const s = gen.statementToCode(block, 'DO');
+  return `api.register("onObstacleHit", function(${paramBall},${paramObstacle}){\n${s}});\n`;
+};
+
 // Parameter block generator
 G['parameter_get'] = function(block, g) {
   const paramName = block.getFieldValue('PARAM_NAME') || 'param';
@@ -763,6 +850,13 @@ G['action_set_color'] = function(block, g) {
   return `(${ball}).color = ${c};\n`;
 };
 
+G['action_set_exit'] = function(block, g) {
+  const gen = g || JS;
+  const ball = gen.valueToCode(block, 'BALL', gen.ORDER_NONE) || 'ball';
+  const policy = block.getFieldValue('POLICY') || 'default';
+  return `(${ball}).exitPolicy = ${JSON.stringify(policy)};\n`;
+};
+
 G['action_log'] = function(block, g) {
   const gen = g || JS;
   const m = gen.valueToCode(block, 'MSG', gen.ORDER_NONE) || '""';
@@ -775,6 +869,10 @@ G['action_score'] = function(block, g) {
   return `api.score(${d});\n`;
 };
 
+G['action_stop_recording'] = function() {
+  return 'api.stopRecording();\n';
+};
+
 // ============================================================================
 // BALL PROPERTY BLOCKS (Enhanced)
 // ============================================================================
@@ -791,7 +889,10 @@ Blockly.Blocks['ball_get'] = {
         ['vx', 'vx'],
         ['vy', 'vy'],
         ['radius', 'r'],
-        ['color', 'color']
+        ['color', 'color'],
+        ['mass', 'mass'],
+        ['restitution', 'restitution'],
+        ['id', 'id']
       ]), 'K')
       .appendField('of');
     this.setOutput(true);
@@ -812,7 +913,9 @@ Blockly.Blocks['ball_set'] = {
         ['vx', 'vx'],
         ['vy', 'vy'],
         ['radius', 'r'],
-        ['color', 'color']
+        ['color', 'color'],
+        ['mass', 'mass'],
+        ['restitution', 'restitution']
       ]), 'K')
       .appendField('to');
     this.appendValueInput('V');
@@ -841,6 +944,327 @@ G['ball_set'] = function(block, g) {
   return `(${ball}).${k} = ${v};\n`;
 };
 
+// ============================================================================
+// FORCE FIELD BLOCKS
+// ============================================================================
+
+// Fields are addressed by name, so "create" in a tick handler just keeps
+// updating the same field instead of piling up new ones
+Blockly.Blocks['force_create'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Force field')
+      .appendField(new Blockly.FieldTextInput('A'), 'NAME')
+      .appendField(new Blockly.FieldDropdown([
+        ['attractor', 'attractor'],
+        ['repeller', 'repeller'],
+        ['vortex', 'vortex'],
+        ['wind', 'wind']
+      ]), 'TYPE');
+    this.appendValueInput('X')
+      .setCheck('Number')
+      .appendField('at x');
+    this.appendValueInput('Y')
+      .setCheck('Number')
+      .appendField('y');
+    this.appendValueInput('STRENGTH')
+      .setCheck('Number')
+      .appendField('strength');
+    this.appendValueInput('RADIUS')
+      .setCheck('Number')
+      .appendField('radius');
+    this.appendDummyInput()
+      .appendField('falloff')
+      .appendField(new Blockly.FieldDropdown([
+        ['linear', 'linear'],
+        ['none', 'none'],
+        ['inverse square', 'inverseSquare']
+      ]), 'FALLOFF');
+    this.setColour('#7F5CA6');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Create or update a named force field - radius 0 reaches everywhere, wind blows along its direction');
+  }
+};
+
+Blockly.Blocks['force_move'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Move force field')
+      .appendField(new Blockly.FieldTextInput('A'), 'NAME');
+    this.appendValueInput('X')
+      .setCheck('Number')
+      .appendField('to x');
+    this.appendValueInput('Y')
+      .setCheck('Number')
+      .appendField('y');
+    this.setInputsInline(true);
+    this.setColour('#7F5CA6');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+  }
+};
+
+Blockly.Blocks['force_set'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Set force field')
+      .appendField(new Blockly.FieldTextInput('A'), 'NAME')
+      .appendField(new Blockly.FieldDropdown([
+        ['strength', 'strength'],
+        ['radius', 'radius'],
+        ['direction °', 'angle']
+      ]), 'K')
+      .appendField('to');
+    this.appendValueInput('V').setCheck('Number');
+    this.setInputsInline(true);
+    this.setColour('#7F5CA6');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Direction only matters for wind (0° blows right, 90° down)');
+  }
+};
+
+Blockly.Blocks['force_remove'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Remove force field')
+      .appendField(new Blockly.FieldTextInput('A'), 'NAME');
+    this.setColour('#7F5CA6');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+  }
+};
+
+// Force field generators
+G['force_create'] = function(block, g) {
+  const gen = g || JS;
+  const name = JSON.stringify(block.getFieldValue('NAME') || 'A');
+  const type = JSON.stringify(block.getFieldValue('TYPE') || 'attractor');
+  const falloff = JSON.stringify(block.getFieldValue('FALLOFF') || 'linear');
+  const x = gen.valueToCode(block, 'X', gen.ORDER_NONE) || '540';
+  const y = gen.valueToCode(block, 'Y', gen.ORDER_NONE) || '960';
+  const strength = gen.valueToCode(block, 'STRENGTH', gen.ORDER_NONE) || '600';
+  const radius = gen.valueToCode(block, 'RADIUS', gen.ORDER_NONE) || '300';
+  return `api.field(${name}, { type: ${type}, x: ${x}, y: ${y}, strength: ${strength}, radius: ${radius}, falloff: ${falloff} });\n`;
+};
+
+G['force_move'] = function(block, g) {
+  const gen = g || JS;
+  const name = JSON.stringify(block.getFieldValue('NAME') || 'A');
+  const x = gen.valueToCode(block, 'X', gen.ORDER_NONE) || '540';
+  const y = gen.valueToCode(block, 'Y', gen.ORDER_NONE) || '960';
+  return `api.moveField(${name}, ${x}, ${y});\n`;
+};
+
+G['force_set'] = function(block, g) {
+  const gen = g || JS;
+  const name = JSON.stringify(block.getFieldValue('NAME') || 'A');
+  const k = JSON.stringify(block.getFieldValue('K') || 'strength');
+  const v = gen.valueToCode(block, 'V', gen.ORDER_NONE) || '0';
+  return `api.setField(${name}, ${k}, ${v});\n`;
+};
+
+G['force_remove'] = function(block, g) {
+  const name = JSON.stringify(block.getFieldValue('NAME') || 'A');
+  return `api.removeField(${name});\n`;
+};
+
+// ============================================================================
+// SOUND BLOCKS
+// ============================================================================
+
+// Dropdown options from one of music.js's tables
+function musicOptions(table) {
+  return Object.entries(table).map(([key, entry]) => [entry.label, key]);
+}
+
+function musicRootOptions() {
+  const options = [];
+  for (let midi = 48; midi <= 72; midi++) options.push([window.midiNoteName(midi), String(midi)]);
+  return options;
+}
+
+// Sound settings from these blocks last until the simulation is reset
+Blockly.Blocks['music_instrument'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Play notes on')
+      .appendField(new Blockly.FieldDropdown(musicOptions(window.MUSIC_INSTRUMENTS)), 'INSTRUMENT');
+    this.setColour('#A6925C');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+  }
+};
+
+Blockly.Blocks['music_scale'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Use scale')
+      .appendField(new Blockly.FieldDropdown(musicOptions(window.MUSIC_SCALES)), 'SCALE')
+      .appendField('from')
+      .appendField(new Blockly.FieldDropdown(musicRootOptions()), 'ROOT');
+    this.setColour('#A6925C');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Event notes walk up and down this scale');
+  }
+};
+
+Blockly.Blocks['music_progression'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Use chords')
+      .appendField(new Blockly.FieldDropdown(musicOptions(window.MUSIC_PROGRESSIONS)), 'PROGRESSION');
+    this.setColour('#A6925C');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Event notes walk through the tones of each chord in turn');
+  }
+};
+
+Blockly.Blocks['music_melody'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Use the MIDI melody');
+    this.setColour('#A6925C');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Event notes play the melody loaded in the Sound panel, one note or chord each');
+  }
+};
+
+Blockly.Blocks['music_event'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Sound for')
+      .appendField(new Blockly.FieldDropdown(musicOptions(window.MUSIC_EVENTS)), 'EVENT')
+      .appendField(new Blockly.FieldDropdown([
+        ['on', 'true'],
+        ['off', 'false']
+      ]), 'ON');
+    this.setColour('#A6925C');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+  }
+};
+
+Blockly.Blocks['music_note'] = {
+  init() {
+    this.appendValueInput('NOTE')
+      .setCheck('Number')
+      .appendField('Play note');
+    this.appendValueInput('VOLUME')
+      .setCheck('Number')
+      .appendField('volume');
+    this.appendValueInput('DUR')
+      .setCheck('Number')
+      .appendField('for seconds');
+    this.setInputsInline(true);
+    this.setColour('#A6925C');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('MIDI note number (60 is middle C), volume 0 to 1');
+  }
+};
+
+// Samples are named in the Sound panel; a name with no sample plays the instrument
+Blockly.Blocks['music_sound'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('play sound')
+      .appendField(new Blockly.FieldTextInput('sound'), 'NAME');
+    this.appendValueInput('PITCH')
+      .setCheck('Number')
+      .appendField('pitch');
+    this.appendValueInput('VOLUME')
+      .setCheck('Number')
+      .appendField('volume');
+    this.setInputsInline(true);
+    this.setColour('#A6925C');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Play a sample added in the Sound panel - pitch in semitones (0 = as recorded), volume 0 to 1');
+  }
+};
+
+Blockly.Blocks['music_next_note'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('Play next note');
+    this.setColour('#A6925C');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Next note of the scale, chords or melody - turn the event sounds off to choose yourself what plays');
+  }
+};
+
+Blockly.Blocks['music_last_note'] = {
+  init() {
+    this.appendDummyInput()
+      .appendField('last note')
+      .appendField(new Blockly.FieldDropdown([
+        ['velocity', 'velocity'],
+        ['pitch', 'pitch']
+      ]), 'K');
+    this.setOutput(true, 'Number');
+    this.setColour('#A6925C');
+    this.setTooltip('Velocity 0 to 1 or MIDI pitch of the note played last - use it to move fields or balls with the music');
+  }
+};
+
+// Sound generators
+G['music_instrument'] = function(block) {
+  const instrument = JSON.stringify(block.getFieldValue('INSTRUMENT') || 'marimba');
+  return `api.music("instrument", ${instrument});\n`;
+};
+
+G['music_scale'] = function(block) {
+  const scale = JSON.stringify(block.getFieldValue('SCALE') || 'majorPentatonic');
+  const root = parseInt(block.getFieldValue('ROOT'), 10) || 60;
+  return `api.music("mode", "scale");\napi.music("scale", ${scale});\napi.music("root", ${root});\n`;
+};
+
+G['music_progression'] = function(block) {
+  const progression = JSON.stringify(block.getFieldValue('PROGRESSION') || 'pop');
+  return `api.music("mode", "progression");\napi.music("progression", ${progression});\n`;
+};
+
+G['music_melody'] = function() {
+  return 'api.music("mode", "melody");\n';
+};
+
+G['music_event'] = function(block) {
+  const type = JSON.stringify(block.getFieldValue('EVENT') || 'wall');
+  const on = block.getFieldValue('ON') === 'true';
+  return `api.music("events", { [${type}]: ${on} });\n`;
+};
+
+G['music_note'] = function(block, g) {
+  const gen = g || JS;
+  const note = gen.valueToCode(block, 'NOTE', gen.ORDER_NONE) || '60';
+  const volume = gen.valueToCode(block, 'VOLUME', gen.ORDER_NONE) || '0.8';
+  const dur = gen.valueToCode(block, 'DUR', gen.ORDER_NONE) || '0.4';
+  return `api.note(${note}, ${volume}, ${dur});\n`;
+};
+
+G['music_sound'] = function(block, g) {
+  const gen = g || JS;
+  const name = JSON.stringify(block.getFieldValue('NAME') || 'sound');
+  const pitch = gen.valueToCode(block, 'PITCH', gen.ORDER_NONE) || '0';
+  const volume = gen.valueToCode(block, 'VOLUME', gen.ORDER_NONE) || '0.8';
+  return `api.sound(${name}, ${pitch}, ${volume});\n`;
+};
+
+G['music_next_note'] = function() {
+  return 'api.nextNote();\n';
+};
+
+G['music_last_note'] = function(block) {
+  const k = JSON.stringify(block.getFieldValue('K') || 'velocity');
+  return [`api.lastNote(${k})`, JS.ORDER_FUNCTION_CALL || 0];
+};
+
 // ============================================================================
 // UTILITY BLOCKS (unchanged)
 // ============================================================================
@@ -881,46 +1305,107 @@ G['util_map'] = function(block, g) {
   return [`utils.map(${x},${a},${b},${c},${d})`, JS.ORDER_FUNCTION_CALL || 0];
 };
 
+// ============================================================================
+// VARIABLE GENERATORS
+// ============================================================================
+
+// The variable in a block's VAR field: a parameter of the procedure the block
+// sits in is the function's own local, any other variable is api.vars[name]
+function variableCode(block, gen) {
+  const name = gen.getVariableName(block.getFieldValue('VAR'));
+  const root = block.getRootBlock();
+  if (root.type.startsWith('procedures_def') && typeof root.getVars === 'function') {
+    const params = root.getVars().map(param => gen.getVariableName(param));
+    if (params.includes(name)) return name;
+  }
+  return `api.vars[${JSON.stringify(name)}]`;
+}
+
+// Locals the loop blocks need besides their variable
+function loopHelperName(gen, name) {
+  return gen.nameDB_.getDistinctName(name, Blockly.Names.NameType.VARIABLE);
+}
+
+G['variables_get'] = function(block, g) {
+  const gen = g || JS;
+  return [variableCode(block, gen), gen.ORDER_MEMBER || 0];
+};
+
+G['variables_set'] = function(block, g) {
+  const gen = g || JS;
+  const value = gen.valueToCode(block, 'VALUE', gen.ORDER_NONE) || '0';
+  return `${variableCode(block, gen)} = ${value};\n`;
+};
+
+G['math_change'] = function(block, g) {
+  const gen = g || JS;
+  const variable = variableCode(block, gen);
+  const delta = gen.valueToCode(block, 'DELTA', gen.ORDER_NONE) || '0';
+  return `${variable} = (typeof ${variable} === 'number' ? ${variable} : 0) + (${delta});\n`;
+};
+
+G['text_append'] = function(block, g) {
+  const gen = g || JS;
+  const text = gen.valueToCode(block, 'TEXT', gen.ORDER_NONE) || "''";
+  return `${variableCode(block, gen)} += String(${text});\n`;
+};
+
+G['controls_for'] = function(block, g) {
+  const gen = g || JS;
+  const variable = variableCode(block, gen);
+  const from = gen.valueToCode(block, 'FROM', gen.ORDER_NONE) || '0';
+  const to = gen.valueToCode(block, 'TO', gen.ORDER_NONE) || '0';
+  const by = gen.valueToCode(block, 'BY', gen.ORDER_NONE) || '1';
+  const branch = gen.addLoopTrap(gen.statementToCode(block, 'DO'), block);
+  const start = loopHelperName(gen, 'loop_start');
+  const end = loopHelperName(gen, 'loop_end');
+  const inc = loopHelperName(gen, 'loop_inc');
+  return `var ${start} = ${from}, ${end} = ${to}, ${inc} = Math.abs(${by});\n` +
+    `if (${start} > ${end}) ${inc} = -${inc};\n` +
+    `for (${variable} = ${start}; ${inc} >= 0 ? ${variable} <= ${end} : ${variable} >= ${end}; ${variable} += ${inc}) {\n` +
+    `${branch}}\n`;
+};
+
+G['controls_forEach'] = function(block, g) {
+  const gen = g || JS;
+  const variable = variableCode(block, gen);
+  const list = gen.valueToCode(block, 'LIST', gen.ORDER_NONE) || '[]';
+  const branch = gen.addLoopTrap(gen.statementToCode(block, 'DO'), block);
+  const items = loopHelperName(gen, 'loop_list');
+  const index = loopHelperName(gen, 'loop_index');
+  return `var ${items} = ${list};\n` +
+    `for (var ${index} = 0; ${index} < ${items}.length; ${index}++) {\n` +
+    `${gen.INDENT}${variable} = ${items}[${index}];\n${branch}}\n`;
+};
+
 // ============================================================================
 // COMPILATION FUNCTION (unchanged)
 // ============================================================================
 
-function compileWorkspace(workspace) {
-  let code = '';
+/**
+ * JavaScript source of the workspace's rule program (also saved in
+ * project files, so headless runs don't need Blockly)
+ */
+function generateProgramCode(workspace) {
   try {
-    code = JS.workspaceToCode(workspace);
+    return JS.workspaceToCode(workspace);
   } catch (err) {
     console.error('workspaceToCode failed:', err);
     throw err;
   }
-  
-  const handlers = {};
-  const api = {
-    register(name, fn) { handlers[name] = fn; },
-    spawn(n, props) {
-      for (let i = 0; i < n; i++) window.spawnBall(props || {});
-    },
-    dup(ball) { window.duplicateBall(resolveBall(ball)); },
-    kill(ball) { window.destroyBall(resolveBall(ball)); },
-    log(...a) { console.log('[RULE]', ...a); },
-    score(d) { window.state.score += (d || 1); }
-  };
-  
-  function resolveBall(bp) {
-    return window.state.balls.find(b => b.id === bp.id) || null;
-  }
+}
+
+function compileWorkspace(workspace) {
+  const code = generateProgramCode(workspace);
   
   try {
-    const fn = new Function('api', 'utils', 'rng', code + "\nreturn true;");
-    fn(api, window.utils, window.rng);
+    return window.compileProgramCode(code);
   } catch (err) {
-    console.error('Program compile error:', err);
     window.showWarn('Your environment may block dynamic code (CSP). Program not applied.');
     throw err;
   }
-  
-  return handlers;
 }
 
 // Export for use in other modules
+window.generateProgramCode = generateProgramCode;
 window.compileWorkspace = compileWorkspace;
\ No newline at end of file
@@ -0,0 +1,306 @@
+/**
+ * Seed Explorer for Bouncing Balls Editor
+ * Fast-forwards the current program with many seeds (seeds.js trials, in a
+ * worker when the page can start one) and lists the best runs by the chosen
+ * metric, each with a thumbnail of how it ended. Clicking a result puts its
+ * seed into the Seed box.
+ */
+
+// ============================================================================
+// EXPLORER STATE
+// ============================================================================
+
+const SEED_RESULTS_SHOWN = 8;
+const SEED_THUMB_WIDTH = 54; // canvas px, the arena's 9:16 frame scaled down
+
+const explorer = {
+  ui: {},
+  worker: null,
+  nextId: 1,
+  pendingId: null,
+  pendingSeed: null, // seed the worker is running
+  queue: [], // seeds still to try
+  total: 0,
+  options: null, // trial options shared by the whole search
+  results: []
+};
+
+function isSeedSearchRunning() {
+  return explorer.options !== null;
+}
+
+// Seeds in the same style as the 🎲 button, never repeated within a search
+function createSearchSeeds(count) {
+  const seeds = new Set();
+  while (seeds.size < count) seeds.add('seed-' + Math.floor(Math.random() * 1e6));
+  return [...seeds];
+}
+
+function searchFrameLimit() {
+  const { ui } = explorer;
+  const limit = Math.max(1, parseFloat(ui.limit.value) || 1);
+  return ui.limitUnit.value === 'frames' ? Math.round(limit) : Math.round(limit / window.state.dt);
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+function startSeedSearch() {
+  if (isSeedSearchRunning()) return;
+  if (!window.state.program) window.applyProgram();
+
+  const { ui } = explorer;
+  const count = Math.max(1, Math.min(500, parseInt(ui.count.value, 10) || 1));
+  explorer.queue = createSearchSeeds(count);
+  explorer.total = count;
+  explorer.results = [];
+  explorer.options = {
+    program: window.getProgramSource(window.state.program),
+    balls: Math.max(0, Math.min(2000, parseInt(window.$('#initialBalls').value || '0', 10))),
+    frames: searchFrameLimit()
+  };
+
+  console.log(`Seed search: ${count} seeds, ${explorer.options.frames} frames each`);
+  renderSeedResults();
+  updateSearchControls();
+
+  if (!startSearchWorker()) setTimeout(runNextSeedHere, 0);
+}
+
+function stopSeedSearch() {
+  if (explorer.worker) explorer.worker.terminate();
+  explorer.worker = null;
+  explorer.pendingId = null;
+  explorer.pendingSeed = null;
+  explorer.queue = [];
+  explorer.options = null;
+  updateSearchControls();
+}
+
+function finishSeed(result) {
+  explorer.results.push(result);
+  renderSeedResults();
+
+  if (!explorer.queue.length) {
+    console.log(`Seed search finished: ${explorer.results.length} seeds tried`);
+    stopSeedSearch();
+    return;
+  }
+  updateSearchControls();
+}
+
+// --- In a worker ------------------------------------------------------------
+
+function startSearchWorker() {
+  if (typeof Worker !== 'function') return false;
+
+  try {
+    explorer.worker = new Worker('js/simworker.js');
+    explorer.worker.postMessage(window.createWorkerLoadMessage(window.currentFrame()));
+  } catch (err) {
+    console.warn('Seed search worker unavailable, searching on the main thread:', err);
+    if (explorer.worker) explorer.worker.terminate();
+    explorer.worker = null;
+    return false;
+  }
+
+  explorer.worker.onmessage = handleSearchMessage;
+  explorer.worker.onerror = (e) => {
+    e.preventDefault();
+    searchWorkerFailed(e.message || 'worker script error');
+  };
+  postNextSeed();
+  return true;
+}
+
+function postNextSeed() {
+  explorer.pendingSeed = explorer.queue.shift();
+  explorer.pendingId = explorer.nextId++;
+  explorer.worker.postMessage({ type: 'seed', id: explorer.pendingId, seed: explorer.pendingSeed, options: explorer.options });
+}
+
+function handleSearchMessage(e) {
+  const data = e.data;
+  if (data.id !== explorer.pendingId) return;
+
+  if (data.type === 'error') {
+    searchWorkerFailed(data.message);
+    return;
+  }
+
+  finishSeed(data.result);
+  if (explorer.worker && explorer.queue.length) postNextSeed();
+}
+
+// Carry on with the remaining seeds (and the one that failed) here
+function searchWorkerFailed(message) {
+  console.warn('Seed search worker failed, searching on the main thread:', message);
+  explorer.worker.terminate();
+  explorer.worker = null;
+  explorer.pendingId = null;
+  if (explorer.pendingSeed) explorer.queue.unshift(explorer.pendingSeed);
+  explorer.pendingSeed = null;
+  setTimeout(runNextSeedHere, 0);
+}
+
+// --- On the main thread -----------------------------------------------------
+
+/**
+ * One trial with the page's own simulation, put back exactly as it was
+ * afterwards. One seed per timer callback keeps the page responsive.
+ */
+function runNextSeedHere() {
+  if (!isSeedSearchRunning() || explorer.worker || !explorer.queue.length) return;
+
+  const { state } = window;
+  const seed = explorer.queue.shift();
+  const saved = window.createStateSnapshot(window.currentFrame());
+  const program = state.program;
+
+  let result;
+  state.replaying = true; // keeps the trial out of history and silent
+  try {
+    result = window.runSeedTrial(seed, explorer.options);
+  } catch (err) {
+    console.error('Seed trial failed:', err);
+  } finally {
+    state.replaying = false;
+    state.program = program;
+    window.restoreStateSnapshot(saved, true);
+  }
+
+  if (!result) {
+    stopSeedSearch();
+    return;
+  }
+  finishSeed(result);
+  setTimeout(runNextSeedHere, 0);
+}
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+function sortedSeedResults() {
+  const metric = explorer.ui.metric.value;
+  const sign = explorer.ui.order.value === 'asc' ? 1 : -1;
+  return [...explorer.results].sort((a, b) => {
+    const va = a.metrics[metric];
+    const vb = b.metrics[metric];
+    if (va === vb) return 0;
+    return va < vb ? -sign : sign;
+  });
+}
+
+function renderSeedResults() {
+  const list = explorer.ui.results;
+  const metric = window.SEED_METRICS[explorer.ui.metric.value];
+  list.innerHTML = '';
+
+  for (const result of sortedSeedResults().slice(0, SEED_RESULTS_SHOWN)) {
+    const item = document.createElement('button');
+    item.className = 'seed-result';
+    item.title = `Use seed ${result.seed}`;
+
+    const thumb = document.createElement('canvas');
+    thumb.width = SEED_THUMB_WIDTH;
+    thumb.height = Math.round((SEED_THUMB_WIDTH * 16) / 9);
+    drawSeedThumbnail(thumb, result);
+
+    const label = document.createElement('span');
+    label.innerHTML = `<b></b><small></small>`;
+    label.querySelector('b').textContent = result.seed;
+    label.querySelector('small').textContent = metric.format(result.metrics[explorer.ui.metric.value]);
+
+    item.append(thumb, label);
+    item.addEventListener('click', () => useSearchSeed(result.seed));
+    list.appendChild(item);
+  }
+}
+
+/**
+ * The arena outline with the balls where the trial left them
+ */
+function drawSeedThumbnail(canvas, result) {
+  const ctx = canvas.getContext('2d');
+  const arena = window.arena;
+  const scale = canvas.width / (arena.cx * 2);
+
+  ctx.fillStyle = '#06080e';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.save();
+  ctx.scale(scale, scale);
+  ctx.lineWidth = 12;
+  ctx.strokeStyle = '#20325a';
+  ctx.beginPath();
+  if (arena.shape === 'rings') {
+    for (const ring of arena.rings) {
+      ctx.moveTo(arena.cx + ring.r, arena.cy);
+      ctx.arc(arena.cx, arena.cy, ring.r, 0, Math.PI * 2);
+    }
+  } else {
+    window.traceArenaOutline(ctx, arena);
+  }
+  ctx.stroke();
+
+  const { positions, colors } = result;
+  for (let i = 0; i < colors.length; i++) {
+    ctx.fillStyle = colors[i];
+    ctx.beginPath();
+    ctx.arc(positions[i * 3], positions[i * 3 + 1], Math.max(positions[i * 3 + 2], 8), 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+function useSearchSeed(seed) {
+  window.$('#seed').value = seed;
+  console.log(`Seed ${seed} loaded from the explorer; Reset and Spawn to run it`);
+}
+
+function updateSearchControls() {
+  const { ui } = explorer;
+  const running = isSeedSearchRunning();
+  ui.start.disabled = running;
+  ui.stop.disabled = !running;
+  ui.progress.textContent = running
+    ? `${explorer.results.length}/${explorer.total}${explorer.worker ? '' : ' (main thread)'}`
+    : explorer.results.length ? `${explorer.results.length} seeds tried` : '';
+}
+
+function initializeExplorer() {
+  const { ui } = explorer;
+  ui.count = document.getElementById('seedCount');
+  if (!ui.count) return;
+  ui.limit = document.getElementById('seedLimit');
+  ui.limitUnit = document.getElementById('seedLimitUnit');
+  ui.metric = document.getElementById('seedMetric');
+  ui.order = document.getElementById('seedOrder');
+  ui.start = document.getElementById('btnSeedSearch');
+  ui.stop = document.getElementById('btnSeedStop');
+  ui.progress = document.getElementById('seedProgress');
+  ui.results = document.getElementById('seedResults');
+
+  for (const [value, metric] of Object.entries(window.SEED_METRICS)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = metric.label;
+    ui.metric.appendChild(option);
+  }
+
+  ui.start.addEventListener('click', startSeedSearch);
+  ui.stop.addEventListener('click', stopSeedSearch);
+  ui.metric.addEventListener('change', renderSeedResults);
+  ui.order.addEventListener('change', renderSeedResults);
+  updateSearchControls();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.initializeExplorer = initializeExplorer;
+window.startSeedSearch = startSeedSearch;
+window.stopSeedSearch = stopSeedSearch;
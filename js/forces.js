@@ -0,0 +1,180 @@
+/**
+ * Force Fields for Bouncing Balls Editor
+ * Point attractors/repellers, swirling vortices and uniform wind. Fields
+ * only change ball velocities, so they work with every physics engine.
+ */
+
+// ============================================================================
+// FIELD TYPES
+// ============================================================================
+
+/**
+ * Each type returns the direction of its pull at a point as a unit-length
+ * vector (or zero), given the offset (dx, dy) from the field center and its
+ * length. Strength and falloff are applied on top by forceFieldAccel().
+ */
+const ForceFieldTypes = {};
+
+function registerForceFieldType(name, type) {
+  ForceFieldTypes[name] = type;
+}
+
+registerForceFieldType('attractor', {
+  direction(field, dx, dy, dist) {
+    return dist > 1e-6 ? { x: -dx / dist, y: -dy / dist } : { x: 0, y: 0 };
+  }
+});
+
+registerForceFieldType('repeller', {
+  direction(field, dx, dy, dist) {
+    return dist > 1e-6 ? { x: dx / dist, y: dy / dist } : { x: 0, y: 0 };
+  }
+});
+
+// Clockwise swirl around the center; negative strength spins the other way
+registerForceFieldType('vortex', {
+  direction(field, dx, dy, dist) {
+    return dist > 1e-6 ? { x: -dy / dist, y: dx / dist } : { x: 0, y: 0 };
+  }
+});
+
+// Same push everywhere inside the radius, towards `angle`
+registerForceFieldType('wind', {
+  direction(field) {
+    return { x: Math.cos(field.angle), y: Math.sin(field.angle) };
+  }
+});
+
+// ============================================================================
+// FALLOFF
+// ============================================================================
+
+/**
+ * Strength multiplier at `dist` from the center. A radius of 0 means the
+ * field reaches everywhere, which only makes sense without falloff.
+ */
+const FORCE_FALLOFFS = {
+  none: () => 1,
+  linear: (dist, radius) => 1 - dist / radius,
+  // Full strength within a fifth of the radius, then 1/d²
+  inverseSquare: (dist, radius) => {
+    const ref = radius * 0.2;
+    return dist <= ref ? 1 : (ref * ref) / (dist * dist);
+  }
+};
+
+// ============================================================================
+// FIELD OBJECTS
+// ============================================================================
+
+let nextForceFieldId = 1;
+
+function createForceField(props = {}) {
+  return {
+    id: props.id ?? nextForceFieldId++,
+    name: props.name ?? null, // lets blocks find the field again
+    type: ForceFieldTypes[props.type] ? props.type : 'attractor',
+    x: props.x ?? 540,
+    y: props.y ?? 960,
+    strength: props.strength ?? 600, // px/s² at full strength
+    radius: props.radius ?? 300, // 0 = unlimited
+    falloff: FORCE_FALLOFFS[props.falloff] ? props.falloff : 'linear',
+    angle: props.angle ?? 0 // wind direction, radians
+  };
+}
+
+/**
+ * Acceleration a field applies to a point, as { ax, ay }
+ */
+function forceFieldAccel(field, px, py) {
+  const type = ForceFieldTypes[field.type];
+  if (!type) return { ax: 0, ay: 0 };
+
+  const dx = px - field.x;
+  const dy = py - field.y;
+  const dist = Math.hypot(dx, dy);
+  const bounded = field.radius > 0;
+  if (bounded && dist >= field.radius) return { ax: 0, ay: 0 };
+
+  const falloff = bounded ? FORCE_FALLOFFS[field.falloff] || FORCE_FALLOFFS.none : FORCE_FALLOFFS.none;
+  const k = field.strength * falloff(dist, field.radius);
+  const dir = type.direction(field, dx, dy, dist);
+
+  return { ax: dir.x * k, ay: dir.y * k };
+}
+
+/**
+ * Add or update the named field in a list; unnamed props always add
+ */
+function upsertForceField(fields, name, props = {}) {
+  const existing = name != null ? fields.find(f => f.name === name) : null;
+  if (existing) {
+    Object.assign(existing, createForceField({ ...existing, ...props, id: existing.id }));
+    return existing;
+  }
+
+  const field = createForceField({ ...props, name });
+  fields.push(field);
+  return field;
+}
+
+function findForceField(fields, name) {
+  return fields.find(f => f.name === name) || null;
+}
+
+function removeForceField(fields, name) {
+  const i = fields.findIndex(f => f.name === name);
+  if (i >= 0) fields.splice(i, 1);
+}
+
+function cloneForceFields(fields) {
+  return fields.map(f => ({ ...f }));
+}
+
+// ============================================================================
+// LAYOUTS
+// ============================================================================
+
+// Ready-made scene fields, sized from the current arena
+const FORCE_FIELD_LAYOUTS = {
+  none() {
+    return [];
+  },
+
+  attractor(arena) {
+    return [{ name: 'center', type: 'attractor', x: arena.cx, y: arena.cy, strength: 900, radius: arena.r, falloff: 'linear' }];
+  },
+
+  repeller(arena) {
+    return [{ name: 'center', type: 'repeller', x: arena.cx, y: arena.cy, strength: 1200, radius: arena.r * 0.6, falloff: 'inverseSquare' }];
+  },
+
+  vortex(arena) {
+    return [{ name: 'center', type: 'vortex', x: arena.cx, y: arena.cy, strength: 500, radius: arena.r, falloff: 'none' }];
+  },
+
+  wind(arena) {
+    return [{ name: 'wind', type: 'wind', x: arena.cx, y: arena.cy, strength: 250, radius: 0, falloff: 'none', angle: 0 }];
+  }
+};
+
+function createForceFieldLayout(name, arena) {
+  const layout = FORCE_FIELD_LAYOUTS[name] || FORCE_FIELD_LAYOUTS.none;
+  return layout(arena).map(createForceField);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.ForceFieldTypes = ForceFieldTypes;
+window.registerForceFieldType = registerForceFieldType;
+window.FORCE_FALLOFFS = FORCE_FALLOFFS;
+window.createForceField = createForceField;
+window.forceFieldAccel = forceFieldAccel;
+window.upsertForceField = upsertForceField;
+window.findForceField = findForceField;
+window.removeForceField = removeForceField;
+window.cloneForceFields = cloneForceFields;
+window.FORCE_FIELD_LAYOUTS = FORCE_FIELD_LAYOUTS;
+window.createForceFieldLayout = createForceFieldLayout;
@@ -0,0 +1,705 @@
+/**
+ * Frame History for Bouncing Balls Editor
+ * Full snapshots are only kept every few frames (keyframes); the frames in
+ * between are rebuilt by re-running the simulation from the keyframe before
+ * them. Ticks are deterministic (fixed dt, seeded RNG and rule variables are
+ * part of each snapshot), so a rebuilt frame is identical to the original.
+ *
+ * History is a tree of branches. Editing the simulation at a past frame
+ * (moving a ball, new rules, ...) forks a new branch there instead of
+ * overwriting what came after, so earlier runs stay around to switch back
+ * to and compare.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const historyConfig = {
+  keyframeInterval: 60, // frames between full snapshots (0.5s at 120 Hz)
+  memoryBudgetMB: 64 // old branches, then oldest keyframes, are dropped beyond this
+};
+
+// Rough per-snapshot sizes used for the budget, in bytes
+const SNAPSHOT_BASE_BYTES = 600;
+const SNAPSHOT_BALL_BYTES = 180;
+const SNAPSHOT_RNG_BYTES = 2200; // seedrandom ARC4 state: 256 numbers
+const HISTORY_EVENT_BYTES = 48;
+
+// ============================================================================
+// HISTORY STATE
+// ============================================================================
+
+/**
+ * A branch owns the frames from its fork frame onwards; earlier frames are
+ * looked up in its parent. The root branch starts at the first saved frame.
+ */
+let branches = new Map(); // id -> branch
+let currentBranch = null;
+let nextBranchId = 1;
+let branchUseCounter = 0;
+let keyframeBytes = 0;
+let eventCount = 0;
+
+// Frames rebuilt by the last re-simulation, so stepping back through one
+// segment doesn't re-run it every time
+let replayCache = new Map();
+let replayCacheBranch = null;
+let replayCacheBytes = 0;
+
+// What the simulation should look like at the next save if nothing but
+// tick() touched it since the last one
+let lastSavedFrame = -1;
+let expectedFingerprint = null;
+let expectedProgram = null;
+
+// Events raised between ticks (balls spawned from the UI) wait for the next
+// save; events raised inside a tick belong to the frame being ticked
+let pendingEvents = [];
+let tickingFrame = null;
+
+function createBranch(parent, forkFrame) {
+  const branch = {
+    id: nextBranchId++,
+    parent,
+    forkFrame,
+    keyframes: new Map(), // frame -> snapshot
+    keyframeFrames: [], // sorted keys of `keyframes`
+    end: forkFrame - 1, // last frame that can be rebuilt
+    events: [], // { frame, type, ballId } in frame order
+    eventsLoggedTo: forkFrame - 1, // frames up to here already have their events
+    lastUsed: ++branchUseCounter
+  };
+  branches.set(branch.id, branch);
+  return branch;
+}
+
+/**
+ * Branch that owns `frameNumber` as seen from `branch`
+ */
+function branchAt(frameNumber, branch = currentBranch) {
+  while (branch.parent && frameNumber < branch.forkFrame) branch = branch.parent;
+  return branch;
+}
+
+function isInLineage(branch) {
+  for (let b = currentBranch; b; b = b.parent) {
+    if (b === branch) return true;
+  }
+  return false;
+}
+
+function estimateSnapshotBytes(snapshot) {
+  return SNAPSHOT_BASE_BYTES +
+    snapshot.balls.length * SNAPSHOT_BALL_BYTES +
+    (snapshot.rng ? SNAPSHOT_RNG_BYTES : 0);
+}
+
+// ============================================================================
+// KEYFRAMES
+// ============================================================================
+
+function storeKeyframe(branch, frameNumber, fingerprint, edit = false, snapshot = window.createStateSnapshot(frameNumber)) {
+  snapshot.bytes = estimateSnapshotBytes(snapshot);
+  snapshot.fingerprint = fingerprint;
+  snapshot.edit = edit; // start of the run or changed by hand, not reachable by ticking
+
+  // Rules and engine settings aren't part of a snapshot, but re-simulating
+  // this segment later has to use the ones that were live while recording.
+  // The arena design is kept for replay files starting here.
+  snapshot.program = window.state.program;
+  snapshot.engineConfig = { ...window.physicsConfig[snapshot.physicsEngine] };
+  snapshot.arenaDesign = window.serializeArenaDesign(window.arena);
+
+  const existing = branch.keyframes.get(frameNumber);
+  if (existing) {
+    keyframeBytes -= existing.bytes;
+  } else {
+    branch.keyframeFrames.push(frameNumber);
+    branch.keyframeFrames.sort((a, b) => a - b);
+  }
+
+  branch.keyframes.set(frameNumber, snapshot);
+  keyframeBytes += snapshot.bytes;
+  enforceMemoryBudget();
+}
+
+/**
+ * Forget a branch's frames after `frameNumber`. Only used at the head of
+ * the current branch, where there is nothing after the edit worth keeping.
+ */
+function truncateBranch(branch, frameNumber) {
+  while (branch.keyframeFrames.length && branch.keyframeFrames[branch.keyframeFrames.length - 1] > frameNumber) {
+    const frame = branch.keyframeFrames.pop();
+    keyframeBytes -= branch.keyframes.get(frame).bytes;
+    branch.keyframes.delete(frame);
+  }
+  while (branch.events.length && branch.events[branch.events.length - 1].frame > frameNumber) {
+    branch.events.pop();
+    eventCount--;
+  }
+  branch.end = Math.min(branch.end, frameNumber);
+  branch.eventsLoggedTo = Math.min(branch.eventsLoggedTo, frameNumber);
+  if (replayCacheBranch === branch) clearReplayCache();
+}
+
+function deleteBranch(branch) {
+  for (const snapshot of branch.keyframes.values()) keyframeBytes -= snapshot.bytes;
+  eventCount -= branch.events.length;
+  branches.delete(branch.id);
+  if (replayCacheBranch === branch) clearReplayCache();
+}
+
+function historyBytes() {
+  return keyframeBytes + replayCacheBytes + eventCount * HISTORY_EVENT_BYTES;
+}
+
+/**
+ * Stay within the budget: first drop the least recently visited branches
+ * that nothing else forks from, then the oldest keyframes. The newest
+ * keyframe of the current branch always stays so it can still be rebuilt.
+ */
+function enforceMemoryBudget() {
+  const budget = historyConfig.memoryBudgetMB * 1024 * 1024;
+
+  while (historyBytes() > budget) {
+    const leaf = leastRecentlyUsedLeaf();
+    if (leaf) {
+      console.log(`History budget reached, dropping branch ${leaf.id}`);
+      deleteBranch(leaf);
+    } else if (!dropOldestKeyframe()) {
+      break;
+    }
+  }
+}
+
+function leastRecentlyUsedLeaf() {
+  const parents = new Set([...branches.values()].map(b => b.parent));
+  let oldest = null;
+  for (const branch of branches.values()) {
+    if (parents.has(branch) || isInLineage(branch)) continue;
+    if (!oldest || branch.lastUsed < oldest.lastUsed) oldest = branch;
+  }
+  return oldest;
+}
+
+function dropOldestKeyframe() {
+  let target = null;
+  for (const branch of branches.values()) {
+    if (!branch.keyframeFrames.length) continue;
+    if (branch === currentBranch && branch.keyframeFrames.length === 1) continue;
+    if (!target || branch.keyframeFrames[0] < target.keyframeFrames[0]) target = branch;
+  }
+  if (!target) return false;
+
+  const frame = target.keyframeFrames.shift();
+  keyframeBytes -= target.keyframes.get(frame).bytes;
+  target.keyframes.delete(frame);
+
+  // Events and cached frames before the first keyframe can't be reached any more
+  const first = target.keyframeFrames[0] ?? Infinity;
+  let count = 0;
+  while (count < target.events.length && target.events[count].frame < first) count++;
+  target.events.splice(0, count);
+  eventCount -= count;
+
+  // An emptied branch off to the side has nothing left to show
+  if (!target.keyframeFrames.length && !isInLineage(target)) deleteBranch(target);
+
+  if (replayCacheBranch === target) {
+    for (const [cachedFrame, snapshot] of replayCache) {
+      if (cachedFrame < first) {
+        replayCacheBytes -= snapshot.bytes;
+        replayCache.delete(cachedFrame);
+      }
+    }
+  }
+  return true;
+}
+
+function clearReplayCache() {
+  replayCache.clear();
+  replayCacheBranch = null;
+  replayCacheBytes = 0;
+}
+
+/**
+ * Put back the rules and engine settings that were live at a keyframe, so
+ * running on from it follows the recorded timeline. They stay live after
+ * the restore; the 'historyrestore' event lets the UI show the switch.
+ */
+function applyKeyframeSettings(snapshot) {
+  window.state.program = snapshot.program;
+  const config = window.physicsConfig[snapshot.physicsEngine];
+  if (config) Object.assign(config, snapshot.engineConfig);
+}
+
+/**
+ * Make a keyframe the live simulation: its state along with the rules and
+ * engine settings it ran with. Returns false when the snapshot is invalid.
+ */
+function applyKeyframe(snapshot) {
+  applyKeyframeSettings(snapshot);
+  return window.restoreStateSnapshot(snapshot);
+}
+
+// Lets the UI catch up with restored settings (engine, its parameters)
+function notifyHistoryRestore(frameNumber) {
+  if (typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+    window.dispatchEvent(new CustomEvent('historyrestore', { detail: { frame: frameNumber } }));
+  }
+}
+
+/**
+ * Restore an edit keyframe reached by ticking: its changes can't be
+ * re-simulated, so they are re-applied as recorded
+ */
+function applyEditKeyframe(snapshot) {
+  applyKeyframe(snapshot);
+  expectedFingerprint = snapshot.fingerprint;
+  expectedProgram = snapshot.program;
+}
+
+function latestKeyframeAtOrBefore(branch, frameNumber) {
+  for (let i = branch.keyframeFrames.length - 1; i >= 0; i--) {
+    if (branch.keyframeFrames[i] <= frameNumber) return branch.keyframeFrames[i];
+  }
+  return null;
+}
+
+// ============================================================================
+// SAVE / RESTORE
+// ============================================================================
+
+/**
+ * Record the state at `frameNumber`, right before it is ticked. Only
+ * keyframes are stored; other frames just extend the range that can be
+ * rebuilt. An edit before the end of the current branch forks a new one.
+ */
+function saveSimulationState(frameNumber) {
+  if (frameNumber === undefined || frameNumber === null) {
+    console.warn('saveSimulationState called without frame number');
+    return;
+  }
+
+  if (!currentBranch) currentBranch = createBranch(null, frameNumber);
+
+  const fingerprint = window.simulationFingerprint();
+  const program = window.state.program;
+  const owner = branchAt(frameNumber);
+  const existing = owner.keyframes.get(frameNumber);
+
+  // Ticked straight from the previous save, and (when re-running recorded
+  // frames) still matching what was recorded here
+  const continuous = frameNumber === lastSavedFrame + 1 &&
+    program === expectedProgram &&
+    fingerprint === expectedFingerprint &&
+    (!existing || (existing.program === program && existing.fingerprint === fingerprint));
+
+  lastSavedFrame = frameNumber;
+  expectedFingerprint = null;
+
+  let branch = owner;
+  if (!continuous) {
+    if (frameNumber >= currentBranch.end) {
+      // Edited at the newest frame: nothing after it to keep
+      truncateBranch(currentBranch, frameNumber - 1);
+    } else {
+      const parent = currentBranch;
+      currentBranch = createBranch(parent, frameNumber);
+      console.log(`Forked branch ${currentBranch.id} from branch ${parent.id} at frame ${frameNumber}`);
+    }
+    branch = currentBranch;
+    storeKeyframe(branch, frameNumber, fingerprint, true);
+  } else if (!existing && frameNumber % historyConfig.keyframeInterval === 0) {
+    storeKeyframe(branch, frameNumber, fingerprint);
+  }
+
+  branch.end = Math.max(branch.end, frameNumber);
+
+  for (const event of pendingEvents) {
+    branch.events.push({ frame: frameNumber, ...event });
+    eventCount++;
+  }
+  pendingEvents = [];
+
+  // Debug log occasionally
+  if (frameNumber % 500 === 0) {
+    console.log(`State saved for frame ${frameNumber}, branch ${branch.id} has ${branch.keyframes.size} keyframes`);
+  }
+}
+
+/**
+ * Save the current frame, then tick. Remembers what the tick produced so
+ * the next save can tell it apart from an edit.
+ */
+function tickWithHistory(frameNumber) {
+  saveSimulationState(frameNumber);
+  const owner = branchAt(frameNumber);
+
+  tickingFrame = frameNumber;
+  try {
+    window.tick(window.state.dt);
+  } finally {
+    tickingFrame = null;
+  }
+
+  finishTick(owner, frameNumber);
+}
+
+/**
+ * Bookkeeping after `frameNumber` was ticked and the live state is the one
+ * at the frame after it
+ */
+function finishTick(owner, frameNumber) {
+  owner.eventsLoggedTo = Math.max(owner.eventsLoggedTo, frameNumber);
+  expectedFingerprint = window.simulationFingerprint();
+  expectedProgram = window.state.program;
+
+  // Played up to a frame that was edited (or where the branch was forked):
+  // carry on from the edit
+  const next = branchAt(frameNumber + 1);
+  const editState = next.keyframes.get(frameNumber + 1);
+  if (editState && editState.edit) {
+    applyEditKeyframe(editState);
+    notifyHistoryRestore(frameNumber + 1);
+    return;
+  }
+
+  if (next !== owner) {
+    console.log(`Branch ${next.id} no longer has its fork frame, continuing on branch ${owner.id}`);
+    currentBranch = owner;
+  }
+  owner.end = Math.max(owner.end, frameNumber + 1); // the frame just ticked into
+}
+
+/**
+ * Record frames that were ticked somewhere else (the simulation worker, see
+ * workermode.js) as if tickWithHistory() had run them. The live state must
+ * be the one at `start`; `result` holds the state at `end`, the snapshots
+ * taken at keyframe frames in between and the events raised. Don't pass a
+ * batch past framesUntilHistoryEdit().
+ */
+function recordTickedFrames(start, end, result) {
+  saveSimulationState(start);
+  const owner = branchAt(start);
+
+  for (const snapshot of result.keyframes) {
+    const frameNumber = snapshot.frameNumber;
+    if (frameNumber <= start || frameNumber >= end || owner.keyframes.has(frameNumber)) continue;
+    storeKeyframe(owner, frameNumber, snapshot.fingerprint, false, snapshot);
+  }
+
+  for (const event of result.events) {
+    if (event.frame <= owner.eventsLoggedTo) continue; // already logged on an earlier run
+    owner.events.push(event);
+    eventCount++;
+  }
+
+  window.restoreStateSnapshot(result.snapshot, true);
+  lastSavedFrame = end - 1;
+  finishTick(owner, end - 1);
+}
+
+/**
+ * How many frames can be ticked from `frameNumber` before reaching one where
+ * ticking hands over to recorded history (an edit or another branch), or
+ * Infinity when nothing recorded lies ahead
+ */
+function framesUntilHistoryEdit(frameNumber) {
+  if (!currentBranch) return Infinity;
+
+  let stop = Infinity;
+  for (let b = currentBranch; b; b = b.parent) {
+    if (b.parent && b.forkFrame > frameNumber) stop = Math.min(stop, b.forkFrame);
+    for (const frame of b.keyframeFrames) {
+      if (frame > frameNumber && frame < stop && b.keyframes.get(frame).edit && branchAt(frame) === b) {
+        stop = frame;
+        break;
+      }
+    }
+  }
+  return stop - frameNumber;
+}
+
+/**
+ * Restore state for a specific frame of the current branch, re-simulating
+ * from the nearest keyframe when it isn't stored
+ */
+function restoreSimulationState(targetFrame) {
+  if (targetFrame < 0) {
+    console.log('Cannot restore negative frame number');
+    return false;
+  }
+
+  const range = getHistoryRange();
+  if (!range || targetFrame < range.start || targetFrame > range.end) {
+    const available = range ? `${range.start} to ${range.end}` : 'none';
+    console.log(`No saved state for frame ${targetFrame}. Available frames: ${available}`);
+    return false;
+  }
+
+  const owner = branchAt(targetFrame);
+  const keyframe = latestKeyframeAtOrBefore(owner, targetFrame);
+  const segment = owner.keyframes.get(keyframe);
+  const cached = replayCacheBranch === owner ? replayCache.get(targetFrame) : null;
+
+  // The frame comes back with the rules and settings it ran with
+  applyKeyframeSettings(segment);
+
+  let restored;
+  if (keyframe === targetFrame) {
+    restored = window.restoreStateSnapshot(segment);
+  } else if (cached) {
+    restored = window.restoreStateSnapshot(cached);
+  } else {
+    restored = resimulate(owner, keyframe, targetFrame);
+  }
+
+  if (restored === false) {
+    expectedFingerprint = null;
+    return false;
+  }
+
+  // Stepping forward from here follows the recorded timeline
+  lastSavedFrame = targetFrame - 1;
+  expectedFingerprint = window.simulationFingerprint();
+  expectedProgram = segment.program;
+  currentBranch.lastUsed = ++branchUseCounter;
+  notifyHistoryRestore(targetFrame);
+
+  console.log(`Successfully restored state for frame ${targetFrame} (branch ${currentBranch.id})`);
+  return targetFrame;
+}
+
+/**
+ * Restore `fromFrame` and tick forward to `targetFrame`, caching each
+ * rebuilt frame along the way
+ */
+function resimulate(branch, fromFrame, targetFrame) {
+  const { state } = window;
+  if (window.restoreStateSnapshot(branch.keyframes.get(fromFrame)) === false) return false;
+
+  clearReplayCache();
+  replayCacheBranch = branch;
+  state.replaying = true;
+  try {
+    for (let frame = fromFrame; frame < targetFrame; frame++) {
+      window.tick(state.dt);
+      const snapshot = window.createStateSnapshot(frame + 1);
+      snapshot.bytes = estimateSnapshotBytes(snapshot);
+      replayCache.set(frame + 1, snapshot);
+      replayCacheBytes += snapshot.bytes;
+    }
+  } finally {
+    state.replaying = false;
+  }
+
+  enforceMemoryBudget();
+  return targetFrame;
+}
+
+/**
+ * Get the closest frame of the current branch that can be restored
+ */
+function getClosestAvailableFrame(targetFrame) {
+  const range = getHistoryRange();
+  if (!range) return null;
+  return Math.max(range.start, Math.min(range.end, targetFrame));
+}
+
+/**
+ * Clear simulation history (useful for reset)
+ */
+function clearSimulationHistory() {
+  branches.clear();
+  currentBranch = null;
+  nextBranchId = 1;
+  keyframeBytes = 0;
+  eventCount = 0;
+  clearReplayCache();
+  pendingEvents = [];
+  lastSavedFrame = -1;
+  expectedFingerprint = null;
+  expectedProgram = null;
+  console.log('Simulation history cleared');
+}
+
+function setHistoryConfig(options = {}) {
+  if (options.keyframeInterval > 0) {
+    historyConfig.keyframeInterval = Math.round(options.keyframeInterval);
+  }
+  if (options.memoryBudgetMB > 0) {
+    historyConfig.memoryBudgetMB = options.memoryBudgetMB;
+    enforceMemoryBudget();
+  }
+}
+
+// ============================================================================
+// BRANCHES
+// ============================================================================
+
+/**
+ * Make another branch current. The simulation state is left alone; restore
+ * a frame afterwards to actually show the branch.
+ */
+function selectHistoryBranch(branchId) {
+  const branch = branches.get(branchId);
+  if (!branch) {
+    console.warn(`Unknown history branch: ${branchId}`);
+    return false;
+  }
+
+  currentBranch = branch;
+  branch.lastUsed = ++branchUseCounter;
+  expectedFingerprint = null;
+  console.log(`Switched to history branch ${branchId}`);
+  return true;
+}
+
+function getHistoryBranches() {
+  return [...branches.values()].map(b => ({
+    id: b.id,
+    parentId: b.parent ? b.parent.id : null,
+    forkFrame: b.forkFrame,
+    end: b.end,
+    keyframeCount: b.keyframes.size,
+    current: b === currentBranch,
+    inLineage: isInLineage(b)
+  }));
+}
+
+function getCurrentBranchId() {
+  return currentBranch ? currentBranch.id : null;
+}
+
+/**
+ * Keyframes needed to replay the current branch: the one it starts from
+ * plus every edit along the way. The frames in between re-simulate.
+ */
+function getReplayKeyframes() {
+  const range = getHistoryRange();
+  if (!range) return null;
+
+  const keyframes = [];
+  let limit = currentBranch.end;
+  for (let b = currentBranch; b; b = b.parent) {
+    for (const frame of b.keyframeFrames) {
+      if (frame > limit) break;
+      const snapshot = b.keyframes.get(frame);
+      if (frame === range.start || (frame > range.start && snapshot.edit)) keyframes.push(snapshot);
+    }
+    if (b.forkFrame <= range.start) break;
+    limit = b.forkFrame - 1;
+  }
+
+  keyframes.sort((a, b) => a.frameNumber - b.frameNumber);
+  return { start: range.start, end: range.end, keyframes };
+}
+
+// ============================================================================
+// EVENT LOG
+// ============================================================================
+
+function recordHistoryEvent(type, ballId) {
+  // Frames re-simulated between keyframes (and seed trials) were logged
+  // when they first ran; a replay ticks its frames into history and logs them
+  if (window.state.replaying && tickingFrame === null) return;
+
+  if (tickingFrame === null) {
+    pendingEvents.push({ type, ballId });
+    return;
+  }
+
+  // Re-running recorded frames doesn't log their events twice
+  const owner = branchAt(tickingFrame);
+  if (tickingFrame > owner.eventsLoggedTo) {
+    owner.events.push({ frame: tickingFrame, type, ballId });
+    eventCount++;
+  }
+}
+
+window.onSimulationEvent(recordHistoryEvent);
+
+/**
+ * Frames of the current branch that can be restored, or null when history
+ * is empty. Walks back through parent branches while their frames connect.
+ */
+function getHistoryRange() {
+  if (!currentBranch) return null;
+
+  let start = null;
+  let limit = currentBranch.end;
+  for (let b = currentBranch; b; b = b.parent) {
+    const first = b.keyframeFrames[0];
+    if (first === undefined || first > limit) break;
+    start = first;
+    if (first > b.forkFrame) break; // fork keyframe dropped, nothing earlier connects
+    limit = b.forkFrame - 1;
+  }
+
+  return start === null ? null : { start, end: currentBranch.end };
+}
+
+/**
+ * Events along the current branch, oldest first. May be a shared array:
+ * read it, don't change it.
+ */
+function getHistoryEvents() {
+  if (!currentBranch) return [];
+  if (!currentBranch.parent) return currentBranch.events;
+
+  const parts = [];
+  let limit = Infinity;
+  for (let b = currentBranch; b; b = b.parent) {
+    let count = b.events.length;
+    while (count > 0 && b.events[count - 1].frame >= limit) count--;
+    parts.unshift(b.events.slice(0, count));
+    limit = b.forkFrame;
+  }
+  return [].concat(...parts);
+}
+
+/**
+ * Get history buffer stats for debugging
+ */
+function getHistoryStats() {
+  const range = getHistoryRange();
+  const keyframeFrames = currentBranch ? currentBranch.keyframeFrames : [];
+  return {
+    totalFrames: range ? range.end - range.start + 1 : 0,
+    keyframeCount: [...branches.values()].reduce((n, b) => n + b.keyframes.size, 0),
+    frameRange: range ? `${range.start} to ${range.end}` : 'none',
+    maxSavedFrame: range ? range.end : -1,
+    memoryUsageBytes: historyBytes(),
+    memoryBudgetBytes: historyConfig.memoryBudgetMB * 1024 * 1024,
+    keyframeInterval: historyConfig.keyframeInterval,
+    cachedFrames: replayCache.size,
+    eventCount,
+    branchCount: branches.size,
+    currentBranch: getCurrentBranchId(),
+    availableFrames: [...keyframeFrames] // current branch keyframes; every frame in the range can be restored
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.historyConfig = historyConfig;
+window.setHistoryConfig = setHistoryConfig;
+window.saveSimulationState = saveSimulationState;
+window.tickWithHistory = tickWithHistory;
+window.recordTickedFrames = recordTickedFrames;
+window.framesUntilHistoryEdit = framesUntilHistoryEdit;
+window.restoreSimulationState = restoreSimulationState;
+window.getClosestAvailableFrame = getClosestAvailableFrame;
+window.clearSimulationHistory = clearSimulationHistory;
+window.getHistoryStats = getHistoryStats;
+window.getHistoryRange = getHistoryRange;
+window.getHistoryEvents = getHistoryEvents;
+window.selectHistoryBranch = selectHistoryBranch;
+window.getHistoryBranches = getHistoryBranches;
+window.getCurrentBranchId = getCurrentBranchId;
+window.getReplayKeyframes = getReplayKeyframes;
+window.applyHistoryKeyframe = applyKeyframe;
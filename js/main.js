@@ -35,42 +35,149 @@ function clearCanvas(hard = false) {
   }
 }
 
+function drawRings(arena) {
+  ctx.lineWidth = 6;
+  ctx.lineCap = 'round';
+  
+  for (const ring of arena.rings) {
+    if (ring.broken) continue;
+    
+    // Wall runs from the end of the gap all the way round to its start
+    ctx.strokeStyle = ring.color;
+    ctx.beginPath();
+    ctx.arc(
+      arena.cx, arena.cy, ring.r,
+      ring.gapAngle + ring.gapWidth / 2,
+      ring.gapAngle - ring.gapWidth / 2 + Math.PI * 2
+    );
+    ctx.stroke();
+  }
+}
+
 function drawArena() {
+  const arena = window.arena;
   ctx.save();
   
-  // Main arena circle
+  if (arena.shape === 'rings') {
+    drawRings(arena);
+    ctx.restore();
+    return;
+  }
+  
+  // Arena outline (shape comes from arena.js)
   ctx.lineWidth = 6;
   ctx.strokeStyle = '#20325a';
+  ctx.lineJoin = 'round';
   ctx.beginPath();
-  ctx.arc(window.arena.cx, window.arena.cy, window.arena.r, 0, Math.PI * 2);
+  window.traceArenaOutline(ctx, arena);
   ctx.stroke();
   
-  // Gap highlight
+  // Gap highlights
   ctx.lineWidth = 8;
   ctx.strokeStyle = '#3f6fff';
-  ctx.beginPath();
-  const a1 = window.arena.gapAngle - window.arena.gapWidth / 2;
-  const a2 = window.arena.gapAngle + window.arena.gapWidth / 2;
-  ctx.arc(window.arena.cx, window.arena.cy, window.arena.r, a1, a2);
-  ctx.stroke();
+  const gapCount = Math.max(1, arena.gapCount | 0);
+  for (let i = 0; i < gapCount; i++) {
+    ctx.beginPath();
+    window.traceArenaGap(ctx, arena, i);
+    ctx.stroke();
+  }
   
   ctx.restore();
 }
 
+function drawObstacles(obstacles) {
+  ctx.lineCap = 'round';
+  
+  for (const ob of obstacles) {
+    ctx.beginPath();
+    window.traceObstacle(ctx, ob);
+    
+    if (window.isObstacleFilled(ob)) {
+      ctx.fillStyle = ob.color;
+      ctx.fill();
+    } else {
+      ctx.lineWidth = ob.width;
+      ctx.strokeStyle = ob.color;
+      ctx.stroke();
+    }
+  }
+}
+
+const FORCE_FIELD_COLORS = {
+  attractor: '#6aa1ff',
+  repeller: '#ff6b89',
+  vortex: '#88ffc6',
+  wind: '#ffd36a'
+};
+
+function drawForceFields(fields) {
+  ctx.lineWidth = 2;
+  ctx.setLineDash([10, 10]);
+  
+  for (const f of fields) {
+    const color = FORCE_FIELD_COLORS[f.type] || '#8fa1c1';
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.35;
+    
+    // Reach (unbounded fields have none to show)
+    if (f.radius > 0) {
+      ctx.beginPath();
+      ctx.arc(f.x, f.y, f.radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    if (f.type === 'wind') {
+      // Arrow along the wind direction
+      const len = 60;
+      const ex = f.x + Math.cos(f.angle) * len;
+      const ey = f.y + Math.sin(f.angle) * len;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(f.x - Math.cos(f.angle) * len, f.y - Math.sin(f.angle) * len);
+      ctx.lineTo(ex, ey);
+      ctx.lineTo(ex - Math.cos(f.angle - 0.5) * 20, ey - Math.sin(f.angle - 0.5) * 20);
+      ctx.moveTo(ex, ey);
+      ctx.lineTo(ex - Math.cos(f.angle + 0.5) * 20, ey - Math.sin(f.angle + 0.5) * 20);
+      ctx.stroke();
+      ctx.setLineDash([10, 10]);
+    } else {
+      ctx.beginPath();
+      ctx.arc(f.x, f.y, 8, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  
+  ctx.setLineDash([]);
+  ctx.globalAlpha = 1;
+}
+
 function render() {
   clearCanvas();
   drawArena();
   
-  // Draw balls
-  for (const b of window.state.balls) {
+  ctx.save();
+  drawForceFields(window.state.forceFields);
+  drawObstacles(window.arena.obstacles);
+  ctx.restore();
+  
+  // Draw balls (worker runs hand over their positions ready to draw)
+  const positions = window.workerBallPositions();
+  window.state.balls.forEach((b, i) => {
     ctx.beginPath();
     ctx.fillStyle = b.color;
-    ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+    if (positions) {
+      ctx.arc(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], 0, Math.PI * 2);
+    } else {
+      ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+    }
     ctx.fill();
-  }
+  });
   
   // Update frame counter display
   updateFrameCounter();
+  window.$('#ballCount').textContent = String(window.state.balls.length);
+  window.updateTimeline();
 }
 
 function updateFrameCounter() {
@@ -96,11 +203,8 @@ function stepForward(steps = 1) {
   if (!window.state.running) return;
   
   for (let i = 0; i < steps; i++) {
-    // Save current state before stepping (with current frame number)
-    window.saveSimulationState(currentFrame);
-    
-    // Run one physics tick
-    window.tick(window.state.dt);
+    // Record the frame in history, then run one physics tick
+    window.tickWithHistory(currentFrame);
     currentFrame++;
     
     // Update FPS counter (for visual feedback)
@@ -114,6 +218,7 @@ function stepForward(steps = 1) {
   
   // Always render after stepping
   render();
+  window.updateRecordingPlan(); // a recording made while stepping follows its plan too
   
   console.log(`Stepped forward ${steps} frame(s). Current frame: ${currentFrame}`);
 }
@@ -168,6 +273,52 @@ function stepBackward(steps = 1) {
   }
 }
 
+/**
+ * Jump straight to any frame in the saved history (timeline scrubbing)
+ */
+function seekToFrame(targetFrame) {
+  const target = window.getClosestAvailableFrame(targetFrame);
+  if (target === null || target === currentFrame) return false;
+  
+  const restoredFrame = window.restoreSimulationState(target);
+  if (restoredFrame === false) return false;
+  
+  currentFrame = restoredFrame;
+  render();
+  return true;
+}
+
+/**
+ * Re-run a replay file into a fresh history and show its first frame
+ */
+function loadReplay(data) {
+  if (window.state.running) pauseSimulation();
+  
+  const range = window.runReplay(data);
+  currentFrame = range.end;
+  if (!seekToFrame(range.start)) render();
+  updateStepControlsUI();
+  return range;
+}
+
+/**
+ * Show another history branch at the current frame (or the nearest one it has)
+ */
+function switchHistoryBranch(branchId) {
+  if (!window.selectHistoryBranch(branchId)) return false;
+  if (window.state.running) pauseSimulation();
+  
+  const target = window.getClosestAvailableFrame(currentFrame);
+  if (target !== null) {
+    const restoredFrame = window.restoreSimulationState(target);
+    if (restoredFrame !== false) currentFrame = restoredFrame;
+  }
+  
+  render();
+  updateStepControlsUI();
+  return true;
+}
+
 function setSimulationMode(mode) {
   const previousMode = simulationMode;
   simulationMode = mode;
@@ -223,13 +374,15 @@ function frame(ms) {
     // Only run physics when simulation is running
     if (window.state.running) {
       window.state.accumulator += Math.min(dt, 0.25);
-      while (window.state.accumulator >= window.state.dt) {
-        // Save state before each tick in continuous mode (with frame number)
-        window.saveSimulationState(currentFrame);
-        
-        window.tick(window.state.dt);
-        currentFrame++;
-        window.state.accumulator -= window.state.dt;
+      if (window.isWorkerMode()) {
+        advanceWorker();
+      } else {
+        while (window.state.accumulator >= window.state.dt) {
+          // Record each frame in history before ticking it
+          window.tickWithHistory(currentFrame);
+          currentFrame++;
+          window.state.accumulator -= window.state.dt;
+        }
       }
       
       // Update FPS only when running
@@ -243,6 +396,9 @@ function frame(ms) {
     // Always render (to show spawned balls even when not running)
     render();
     
+    // A recording may be due to end at this simulation time
+    if (window.state.running) window.updateRecordingPlan();
+    
   } catch (err) {
     console.error('frame loop error:', err);
     window.state.running = false;
@@ -255,6 +411,38 @@ function frame(ms) {
   }
 }
 
+/**
+ * Worker mode: hand the time owed to the worker as one batch, with at most
+ * one batch in flight. Batches stop at recorded edits ahead, which
+ * tickWithHistory() would otherwise have applied on the way.
+ */
+function advanceWorker() {
+  const state = window.state;
+  state.accumulator = Math.min(state.accumulator, 0.25); // don't pile up while the worker is busy
+  
+  const steps = Math.min(
+    Math.floor(state.accumulator / state.dt),
+    window.framesUntilHistoryEdit(currentFrame)
+  );
+  if (steps < 1) return;
+  
+  const started = window.runWorkerBatch(currentFrame, steps, (end) => {
+    if (end !== null) currentFrame = end;
+  });
+  if (started) state.accumulator -= steps * state.dt;
+}
+
+/**
+ * Tick `steps` frames through history without drawing. Offline renders
+ * (offline.js) draw each output frame themselves with renderStatic().
+ */
+function advanceFrames(steps) {
+  for (let i = 0; i < steps; i++) {
+    window.tickWithHistory(currentFrame);
+    currentFrame++;
+  }
+}
+
 // Static render function for when simulation is stopped
 function renderStatic() {
   render();
@@ -483,6 +671,10 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Initialize UI
   window.initializeUI();
+  window.initializeSamples();
+  window.initializeTimeline();
+  window.initializeExplorer();
+  window.initializeOfflineRender();
   
   // Boot the application
   boot();
@@ -497,6 +689,10 @@ window.workspace = workspace;
 // Export frame stepping functions
 window.stepForward = stepForward;
 window.stepBackward = stepBackward;
+window.advanceFrames = advanceFrames;
+window.seekToFrame = seekToFrame;
+window.switchHistoryBranch = switchHistoryBranch;
+window.loadReplay = loadReplay;
 window.setSimulationMode = setSimulationMode;
 window.resetFrameCounter = resetFrameCounter;
 window.runSimulation = runSimulation;
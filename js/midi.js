@@ -0,0 +1,150 @@
+/**
+ * MIDI Files for Bouncing Balls Editor
+ * Reads Standard MIDI Files (format 0 and 1) into the melodies music.js
+ * plays one step per sounding event. Only the order of the notes matters
+ * for that, so timing is kept just far enough to group notes that start
+ * together into chords. Part of the DOM-free core.
+ */
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+const MIDI_MAX_STEPS = 20000; // melody steps kept per part
+const MIDI_DRUM_CHANNEL = 9; // General MIDI percussion (channel 10)
+
+/**
+ * Parse a .mid file into the parts a melody can be taken from: every track,
+ * and each channel of tracks that mix several (format 0 files keep the whole
+ * song in one track). Returns { format, parts }, each part
+ * { name, channel, drums, noteCount, steps } where a step is
+ * { notes: [midi...], velocity: 0..1 } for the notes starting on one tick.
+ * Throws on anything that isn't a MIDI file.
+ */
+function parseMidiFile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const text = (at, length) => String.fromCharCode(...bytes.subarray(at, at + length));
+
+  if (bytes.length < 14 || text(0, 4) !== 'MThd') throw new Error('not a MIDI file');
+  const headerLength = view.getUint32(4);
+  const format = view.getUint16(8);
+  const trackCount = view.getUint16(10);
+  if (format > 1) throw new Error(`MIDI format ${format} is not supported`);
+
+  const tracks = [];
+  let at = 8 + headerLength;
+  while (tracks.length < trackCount && at + 8 <= bytes.length) {
+    const length = view.getUint32(at + 4);
+    const end = Math.min(bytes.length, at + 8 + length);
+    if (text(at, 4) === 'MTrk') {
+      tracks.push(parseMidiTrack(bytes, at + 8, end, tracks.length));
+    }
+    at = end;
+  }
+
+  const parts = [];
+  for (const track of tracks) {
+    const channels = [...new Set(track.noteOns.map(n => n.channel))].sort((a, b) => a - b);
+    if (channels.length !== 1) {
+      parts.push(createMidiPart(`${track.name}${channels.length ? ' (all channels)' : ''}`, null, track.noteOns));
+    }
+    for (const channel of channels) {
+      const noteOns = track.noteOns.filter(n => n.channel === channel);
+      const name = channels.length === 1 ? track.name : `${track.name}, channel ${channel + 1}`;
+      parts.push(createMidiPart(name, channel, noteOns));
+    }
+  }
+  if (!parts.some(part => part.noteCount)) throw new Error('the MIDI file has no notes');
+
+  return { format, parts: parts.filter(part => part.noteCount) };
+}
+
+function createMidiPart(name, channel, noteOns) {
+  return {
+    name,
+    channel,
+    drums: channel === MIDI_DRUM_CHANNEL,
+    noteCount: noteOns.length,
+    steps: groupMidiSteps(noteOns)
+  };
+}
+
+// Name and note-ons (with their tick and channel) of one MTrk chunk
+function parseMidiTrack(bytes, start, end, index) {
+  const noteOns = [];
+  let name = '';
+  let at = start;
+  let tick = 0;
+  let status = 0;
+
+  const readVarLength = () => {
+    let value = 0;
+    for (let i = 0; i < 4 && at < end; i++) {
+      const byte = bytes[at++];
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) break;
+    }
+    return value;
+  };
+
+  while (at < end) {
+    tick += readVarLength();
+    if (bytes[at] & 0x80) status = bytes[at++];
+    else if (!status) throw new Error(`track ${index + 1}: data without a status byte`);
+
+    if (status === 0xff) {
+      // Meta event: type, length, data. Track name is the only one we keep.
+      const type = bytes[at++];
+      const length = readVarLength();
+      if (type === 0x03 && !name) {
+        name = String.fromCharCode(...bytes.subarray(at, at + length)).trim();
+      }
+      at += length;
+      status = 0;
+      if (type === 0x2f) break;
+    } else if (status === 0xf0 || status === 0xf7) {
+      at += readVarLength(); // sysex
+      status = 0;
+    } else {
+      const kind = status & 0xf0;
+      const channel = status & 0x0f;
+      const data1 = bytes[at++];
+      const data2 = kind === 0xc0 || kind === 0xd0 ? 0 : bytes[at++];
+      // Note on with velocity 0 is a note off
+      if (kind === 0x90 && data2 > 0) {
+        noteOns.push({ tick, midi: data1, velocity: data2 / 127, channel });
+      }
+    }
+  }
+
+  return { name: name || `Track ${index + 1}`, noteOns };
+}
+
+// Notes starting on the same tick make one step (a chord), lowest first
+function groupMidiSteps(noteOns) {
+  const steps = [];
+  let current = null;
+
+  for (const note of noteOns) {
+    if (!current || note.tick !== current.tick) {
+      if (steps.length >= MIDI_MAX_STEPS) break;
+      current = { tick: note.tick, notes: [], velocity: 0 };
+      steps.push(current);
+    }
+    if (!current.notes.includes(note.midi)) current.notes.push(note.midi);
+    current.velocity = Math.max(current.velocity, note.velocity);
+  }
+
+  return steps.map(step => ({
+    notes: step.notes.sort((a, b) => a - b),
+    velocity: Math.round(step.velocity * 100) / 100
+  }));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.MIDI_MAX_STEPS = MIDI_MAX_STEPS;
+window.parseMidiFile = parseMidiFile;
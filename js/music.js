@@ -0,0 +1,363 @@
+/**
+ * Music for Bouncing Balls Editor
+ * Turns simulation events into notes. Every sounding event takes the next
+ * step of a walk up and down a scale (or through the tones of a chord
+ * progression), or the next note or chord of a melody imported from a MIDI
+ * file (midi.js), is as loud as its impact was hard, and is played on the
+ * chosen instrument or the audio sample assigned to the event (samples.js).
+ * Part of the DOM-free core: this file only picks notes; sound.js
+ * synthesizes them in the browser.
+ *
+ * The walk position and any settings changed by rules live in state.music
+ * (part of every state snapshot), so rewinds, replays and worker batches
+ * play the same melody.
+ */
+
+// ============================================================================
+// SCALES, CHORDS AND INSTRUMENTS
+// ============================================================================
+
+// Semitones above the root
+const MUSIC_SCALES = {
+  majorPentatonic: { label: 'Major pentatonic', steps: [0, 2, 4, 7, 9] },
+  minorPentatonic: { label: 'Minor pentatonic', steps: [0, 3, 5, 7, 10] },
+  major: { label: 'Major', steps: [0, 2, 4, 5, 7, 9, 11] },
+  minor: { label: 'Natural minor', steps: [0, 2, 3, 5, 7, 8, 10] },
+  dorian: { label: 'Dorian', steps: [0, 2, 3, 5, 7, 9, 10] },
+  blues: { label: 'Blues', steps: [0, 3, 5, 6, 7, 10] },
+  wholeTone: { label: 'Whole tone', steps: [0, 2, 4, 6, 8, 10] },
+  chromatic: { label: 'Chromatic', steps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] }
+};
+
+// Chord tones in semitones above the root, one chord after another
+const MUSIC_PROGRESSIONS = {
+  pop: { label: 'I–V–vi–IV', chords: [[0, 4, 7], [7, 11, 14], [9, 12, 16], [5, 9, 12]] },
+  doowop: { label: 'I–vi–IV–V', chords: [[0, 4, 7], [9, 12, 16], [5, 9, 12], [7, 11, 14]] },
+  epic: { label: 'i–VI–III–VII', chords: [[0, 3, 7], [8, 12, 15], [3, 7, 10], [10, 14, 17]] },
+  jazz: { label: 'ii–V–I', chords: [[2, 5, 9, 12], [7, 11, 14, 17], [0, 4, 7, 11]] }
+};
+
+// Synthesized in sound.js
+const MUSIC_INSTRUMENTS = {
+  pluck: { label: 'Plucked' },
+  marimba: { label: 'Marimba' },
+  bell: { label: 'Bell' },
+  chip: { label: '8-bit' }
+};
+
+/**
+ * What each event plays: octaves above the walk, note length in seconds and
+ * loudness when there's no impact to go by
+ */
+const MUSIC_EVENTS = {
+  wall: { label: 'Wall hit', octave: 0, dur: 0.3, velocity: 0.7 },
+  collision: { label: 'Collision', octave: 1, dur: 0.2, velocity: 0.6 },
+  obstacle: { label: 'Obstacle hit', octave: 0, dur: 0.25, velocity: 0.6 },
+  ringBreak: { label: 'Ring break', octave: -1, dur: 0.8, velocity: 0.9 },
+  spawn: { label: 'Spawn', octave: 1, dur: 0.15, velocity: 0.4 },
+  exit: { label: 'Exit', octave: -1, dur: 0.8, velocity: 0.9 },
+  score: { label: 'Score', octave: 1, dur: 0.5, velocity: 0.8 }
+};
+
+const MUSIC_FULL_IMPACT = 1200; // px/s of impact speed that plays at full volume
+const MUSIC_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+// Sidebar settings, saved with the project. Rules override them per run.
+const musicConfig = {
+  instrument: 'marimba',
+  mode: 'scale', // 'scale', 'progression' or 'melody'
+  scale: 'majorPentatonic',
+  progression: 'pop',
+  root: 60, // MIDI note the walk starts from (C4)
+  range: 2, // octaves the walk climbs before turning back
+  notesPerChord: 8,
+  melody: null, // { name, steps } from a MIDI file, see parseMidiFile()
+  ball: 0, // only events of the ball with this id sound (0 = every ball)
+  events: { wall: true, collision: true, obstacle: true, ringBreak: true, spawn: false, exit: true, score: true },
+  eventSounds: {}, // event type -> name of the sample it plays instead of the instrument
+  dynamics: 0.8, // 0 = every note equally loud, 1 = loudness follows impact speed
+  volume: 0.8,
+  polyphony: 24 // notes sounding at once, see sound.js
+};
+
+const MUSIC_SETTINGS = [
+  'instrument', 'mode', 'scale', 'progression', 'root', 'range', 'notesPerChord',
+  'ball', 'dynamics', 'volume'
+];
+const MUSIC_MODES = ['scale', 'progression', 'melody'];
+
+/**
+ * Check and apply settings (from the sidebar or a project file); unknown
+ * names and out-of-range values are left as they were
+ */
+function applyMusicSettings(target, settings) {
+  if (!settings || typeof settings !== 'object') return target;
+  const number = (v, lo, hi) => (v == null || v === '' || !Number.isFinite(Number(v))
+    ? undefined
+    : Math.max(lo, Math.min(hi, Number(v))));
+  const integer = (v, lo, hi) => {
+    const value = number(v, lo, hi);
+    return value === undefined ? undefined : Math.round(value);
+  };
+
+  const checked = {
+    instrument: settings.instrument in MUSIC_INSTRUMENTS ? settings.instrument : undefined,
+    mode: MUSIC_MODES.includes(settings.mode) ? settings.mode : undefined,
+    scale: settings.scale in MUSIC_SCALES ? settings.scale : undefined,
+    progression: settings.progression in MUSIC_PROGRESSIONS ? settings.progression : undefined,
+    root: integer(settings.root, 24, 96),
+    range: integer(settings.range, 1, 4),
+    notesPerChord: integer(settings.notesPerChord, 1, 64),
+    ball: integer(settings.ball, 0, 1e9),
+    dynamics: number(settings.dynamics, 0, 1),
+    volume: number(settings.volume, 0, 1),
+    polyphony: integer(settings.polyphony, 1, 128)
+  };
+  for (const [key, value] of Object.entries(checked)) {
+    if (value !== undefined) target[key] = value;
+  }
+
+  if (settings.melody === null || settings.melody?.steps) {
+    target.melody = checkMelody(settings.melody);
+  }
+  if (settings.eventSounds && typeof settings.eventSounds === 'object') {
+    target.eventSounds = { ...(target.eventSounds || {}) };
+    for (const type of Object.keys(MUSIC_EVENTS)) {
+      const name = settings.eventSounds[type];
+      if (typeof name !== 'string') continue;
+      if (name.trim()) target.eventSounds[type] = name.trim().slice(0, 64);
+      else delete target.eventSounds[type];
+    }
+  }
+  if (settings.events && typeof settings.events === 'object') {
+    target.events = { ...(target.events || {}) };
+    for (const type of Object.keys(MUSIC_EVENTS)) {
+      if (typeof settings.events[type] === 'boolean') target.events[type] = settings.events[type];
+    }
+  }
+  return target;
+}
+
+// A melody's steps as valid MIDI notes, dropping empty ones; null if none are left
+function checkMelody(melody) {
+  if (!melody || !Array.isArray(melody.steps)) return null;
+  const steps = [];
+  for (const step of melody.steps.slice(0, window.MIDI_MAX_STEPS)) {
+    const notes = (Array.isArray(step?.notes) ? step.notes : [])
+      .map(Number)
+      .filter(n => Number.isInteger(n) && n >= 0 && n <= 127);
+    if (!notes.length) continue;
+    const velocity = Number(step?.velocity);
+    const loudness = Number.isFinite(velocity) ? Math.max(0, Math.min(1, velocity)) : 0.8;
+    steps.push({ notes, velocity: loudness });
+  }
+  return steps.length ? { name: String(melody.name || 'Melody'), steps } : null;
+}
+
+function serializeMusicConfig() {
+  return {
+    ...musicConfig,
+    events: { ...musicConfig.events },
+    eventSounds: { ...musicConfig.eventSounds }
+  };
+}
+
+// Melodies are only ever replaced whole, so fingerprints tell them apart by
+// identity instead of going through thousands of steps
+const melodySerials = new WeakMap();
+let nextMelodySerial = 1;
+
+function musicConfigFingerprint() {
+  const { melody } = musicConfig;
+  if (melody && !melodySerials.has(melody)) melodySerials.set(melody, nextMelodySerial++);
+  return { ...serializeMusicConfig(), melody: melody ? melodySerials.get(melody) : null };
+}
+
+// Setting in effect right now: a rule's override, else the sidebar's
+function musicSetting(name) {
+  const overrides = window.state.music;
+  return name in overrides ? overrides[name] : musicConfig[name];
+}
+
+function isEventSounding(type) {
+  const overrides = window.state.music.events;
+  if (overrides && type in overrides) return overrides[type];
+  return !!musicConfig.events[type];
+}
+
+/**
+ * Change one setting for the rest of this run (rule blocks). Settings the
+ * sidebar owns come back on reset.
+ */
+function setMusicSetting(name, value) {
+  const music = window.state.music;
+  if (name === 'events') {
+    applyMusicSettings(music, { events: value });
+  } else if (MUSIC_SETTINGS.includes(name)) {
+    applyMusicSettings(music, { [name]: value });
+  }
+}
+
+// ============================================================================
+// NOTES
+// ============================================================================
+
+function midiToFrequency(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+// C4-style name of a MIDI note
+function midiNoteName(midi) {
+  return MUSIC_NOTE_NAMES[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+}
+
+/**
+ * Semitones above the root for walk step `step`: up `range` octaves of
+ * tones and back down again
+ */
+function walkSemitones(step) {
+  let tones;
+  if (musicSetting('mode') === 'progression') {
+    const { chords } = MUSIC_PROGRESSIONS[musicSetting('progression')] || MUSIC_PROGRESSIONS.pop;
+    tones = chords[Math.floor(step / musicSetting('notesPerChord')) % chords.length];
+  } else {
+    tones = (MUSIC_SCALES[musicSetting('scale')] || MUSIC_SCALES.majorPentatonic).steps;
+  }
+
+  const span = tones.length * musicSetting('range') + 1; // top note closes the last octave
+  let index = span > 1 ? step % (2 * span - 2) : 0;
+  if (index >= span) index = 2 * span - 2 - index;
+  return 12 * Math.floor(index / tones.length) + tones[index % tones.length];
+}
+
+// 0..1 loudness of a hit at `impact` px/s
+function impactVelocity(impact, fallback) {
+  if (!(impact > 0)) return fallback;
+  const dynamics = musicSetting('dynamics');
+  return (1 - dynamics) * fallback + dynamics * Math.min(1, impact / MUSIC_FULL_IMPACT);
+}
+
+/**
+ * Play the note for an event and move the walk on. The walk moves on even
+ * while sound is off or history re-simulates, so the melody only depends
+ * on what happened. `impact` is the approach speed of the hit, if any;
+ * `ballId` the ball it happened to.
+ */
+function playEventNote(type, impact = 0, ballId = null) {
+  const event = MUSIC_EVENTS[type];
+  if (!event || !isEventSounding(type)) return;
+  const ball = musicSetting('ball');
+  if (ball && ballId !== null && ballId !== ball) return;
+
+  playNextStep(event, impact, musicConfig.eventSounds[type]);
+}
+
+// Defaults for notes that rules ask for
+const RULE_NOTE = { octave: 0, dur: 0.4, velocity: 0.8 };
+
+/**
+ * The next note (or melody chord) of the walk, for rules that decide
+ * themselves which events sound
+ */
+function playNextNote() {
+  playNextStep(RULE_NOTE, 0);
+}
+
+function playNextStep(event, impact, sample) {
+  const music = window.state.music;
+  const step = music.step || 0;
+  music.step = step + 1;
+
+  const melody = musicSetting('mode') === 'melody' ? musicConfig.melody : null;
+  if (melody) {
+    // Melody notes keep the pitch and loudness they have in the song
+    const { notes, velocity } = melody.steps[step % melody.steps.length];
+    const loudness = impactVelocity(impact, velocity);
+    for (const midi of notes) playMidiNote(midi, loudness, event.dur, sample);
+  } else {
+    const midi = musicSetting('root') + walkSemitones(step) + 12 * event.octave;
+    playMidiNote(midi, impactVelocity(impact, event.velocity), event.dur, sample);
+  }
+}
+
+/**
+ * Play a note and remember it for rules (gaps or fields that follow the
+ * music). With a `sample` name the note plays that sample instead, which
+ * follows the pitch only if it is set to.
+ */
+function playMidiNote(midi, velocity, dur, sample) {
+  const music = window.state.music;
+  music.lastNote = midi;
+  music.lastVelocity = velocity;
+
+  const note = {
+    freq: midiToFrequency(midi),
+    velocity: velocity * musicSetting('volume'),
+    dur,
+    instrument: musicSetting('instrument')
+  };
+  if (sample) note.sample = sample;
+  window.pingSfx(note);
+}
+
+/**
+ * Pitch (MIDI number) or velocity (0..1) of the note played last, 0 before
+ * the first
+ */
+function lastNoteValue(name) {
+  const music = window.state.music;
+  return (name === 'velocity' ? music.lastVelocity : music.lastNote) ?? 0;
+}
+
+/**
+ * A note asked for by a rule (MIDI number, 0..1 volume), outside the walk
+ */
+function playRuleNote(midi, volume = RULE_NOTE.velocity, dur = RULE_NOTE.dur) {
+  playMidiNote(
+    Math.max(0, Math.min(127, Math.round(Number(midi) || 60))),
+    Math.max(0, Math.min(1, Number(volume) || 0)),
+    Math.max(0.02, Math.min(4, Number(dur) || RULE_NOTE.dur))
+  );
+}
+
+/**
+ * A sample asked for by a rule, `pitch` semitones up (or down) from how it
+ * was recorded, at 0..1 volume
+ */
+function playSoundSample(name, pitch = 0, volume = RULE_NOTE.velocity) {
+  const semitones = Math.max(-48, Math.min(48, Number(pitch) || 0));
+  window.pingSfx({
+    sample: String(name),
+    pitch: semitones,
+    freq: midiToFrequency(60 + semitones), // what plays when the sample is missing
+    velocity: Math.max(0, Math.min(1, Number(volume) || 0)) * musicSetting('volume'),
+    dur: RULE_NOTE.dur,
+    instrument: musicSetting('instrument')
+  });
+}
+
+window.onSimulationEvent((type, ballId, impact) => playEventNote(type, impact, ballId));
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.MUSIC_SCALES = MUSIC_SCALES;
+window.MUSIC_PROGRESSIONS = MUSIC_PROGRESSIONS;
+window.MUSIC_INSTRUMENTS = MUSIC_INSTRUMENTS;
+window.MUSIC_EVENTS = MUSIC_EVENTS;
+window.musicConfig = musicConfig;
+window.applyMusicSettings = applyMusicSettings;
+window.serializeMusicConfig = serializeMusicConfig;
+window.musicConfigFingerprint = musicConfigFingerprint;
+window.setMusicSetting = setMusicSetting;
+window.playEventNote = playEventNote;
+window.playRuleNote = playRuleNote;
+window.playNextNote = playNextNote;
+window.playSoundSample = playSoundSample;
+window.lastNoteValue = lastNoteValue;
+window.midiNoteName = midiNoteName;
@@ -0,0 +1,266 @@
+/**
+ * Static Obstacles for Bouncing Balls Editor
+ * Pegs, line segments and arc segments placed inside the arena. Like arena
+ * shapes, every obstacle type exposes one small geometry interface so the
+ * physics engines only ever see a contact normal and an overlap.
+ */
+
+// ============================================================================
+// OBSTACLE TYPES
+// ============================================================================
+
+/**
+ * Each type works in canvas coordinates and provides:
+ *   closest(ob, px, py) -> { d, nx, ny }  distance from the point to the obstacle
+ *                                          surface + unit normal towards the point
+ *   trace(ctx, ob)                         path for rendering
+ *   filled                                 fill the path instead of stroking it
+ */
+const ObstacleTypes = {};
+
+function registerObstacleType(name, type) {
+  ObstacleTypes[name] = type;
+}
+
+// Distance from a point to a disc, shared by pegs and segment/arc end caps
+function discDistance(cx, cy, radius, px, py) {
+  const dx = px - cx;
+  const dy = py - cy;
+  const len = Math.hypot(dx, dy);
+  if (len < 1e-9) return { d: -radius, nx: 0, ny: -1 };
+  return { d: len - radius, nx: dx / len, ny: dy / len };
+}
+
+registerObstacleType('peg', {
+  filled: true,
+  closest(ob, px, py) {
+    return discDistance(ob.x, ob.y, ob.r, px, py);
+  },
+  trace(ctx, ob) {
+    ctx.arc(ob.x, ob.y, ob.r, 0, Math.PI * 2);
+  }
+});
+
+// Straight bar from (x, y) to (x2, y2), `width` pixels thick with round ends
+registerObstacleType('segment', {
+  closest(ob, px, py) {
+    const ex = ob.x2 - ob.x;
+    const ey = ob.y2 - ob.y;
+    const len2 = ex * ex + ey * ey;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ob.x) * ex + (py - ob.y) * ey) / len2)) : 0;
+    return discDistance(ob.x + ex * t, ob.y + ey * t, ob.width / 2, px, py);
+  },
+  trace(ctx, ob) {
+    ctx.moveTo(ob.x, ob.y);
+    ctx.lineTo(ob.x2, ob.y2);
+  }
+});
+
+// Part of a circle centred on (x, y) with radius r, running clockwise from
+// `start` to `end` (radians, canvas convention), `width` pixels thick
+registerObstacleType('arc', {
+  closest(ob, px, py) {
+    const sweep = normalizeAngle(ob.end - ob.start) || Math.PI * 2;
+    const angle = Math.atan2(py - ob.y, px - ob.x);
+
+    if (normalizeAngle(angle - ob.start) <= sweep) {
+      const dx = px - ob.x;
+      const dy = py - ob.y;
+      const len = Math.hypot(dx, dy) || 1e-9;
+      const side = len >= ob.r ? 1 : -1;
+      return {
+        d: Math.abs(len - ob.r) - ob.width / 2,
+        nx: (side * dx) / len,
+        ny: (side * dy) / len
+      };
+    }
+
+    // Outside the sweep: the nearest end cap decides
+    const a = discDistance(ob.x + Math.cos(ob.start) * ob.r, ob.y + Math.sin(ob.start) * ob.r, ob.width / 2, px, py);
+    const b = discDistance(ob.x + Math.cos(ob.end) * ob.r, ob.y + Math.sin(ob.end) * ob.r, ob.width / 2, px, py);
+    return a.d < b.d ? a : b;
+  },
+  trace(ctx, ob) {
+    ctx.arc(ob.x, ob.y, ob.r, ob.start, ob.end);
+  }
+});
+
+// Angle wrapped into [0, 2π)
+function normalizeAngle(a) {
+  const full = Math.PI * 2;
+  return ((a % full) + full) % full;
+}
+
+// ============================================================================
+// OBSTACLE OBJECTS
+// ============================================================================
+
+const OBSTACLE_COLOR = '#5a6f9e';
+let nextObstacleId = 1;
+
+/**
+ * Build an obstacle from partial props; unknown types fall back to a peg
+ */
+function createObstacle(props = {}) {
+  const type = ObstacleTypes[props.type] ? props.type : 'peg';
+  const color = props.color ?? OBSTACLE_COLOR;
+
+  return {
+    id: props.id ?? nextObstacleId++,
+    type,
+    x: props.x ?? 0,
+    y: props.y ?? 0,
+    r: props.r ?? (type === 'peg' ? 10 : 120), // peg radius or arc radius
+    x2: props.x2 ?? (props.x ?? 0) + 100, // segment end point
+    y2: props.y2 ?? (props.y ?? 0),
+    start: props.start ?? 0, // arc sweep
+    end: props.end ?? Math.PI,
+    width: props.width ?? 8, // segment and arc thickness
+    color,
+    baseColor: color // rules may recolor obstacles, reset() puts this back
+  };
+}
+
+/**
+ * Replace the arena's obstacles and keep ids unique for later additions
+ */
+function setArenaObstacles(arena, obstacles) {
+  arena.obstacles = obstacles.map(o => createObstacle(o));
+  nextObstacleId = arena.obstacles.reduce((m, o) => Math.max(m, o.id + 1), nextObstacleId);
+}
+
+function resetObstacles(arena) {
+  for (const ob of arena.obstacles) ob.color = ob.baseColor;
+}
+
+/**
+ * Plain data for saving with a project (colors as designed, not as recolored by rules)
+ */
+function serializeObstacles(obstacles) {
+  return obstacles.map(o => {
+    const data = { id: o.id, type: o.type, x: o.x, y: o.y, color: o.baseColor };
+    if (o.type === 'peg' || o.type === 'arc') data.r = o.r;
+    if (o.type === 'segment') {
+      data.x2 = o.x2;
+      data.y2 = o.y2;
+    }
+    if (o.type === 'arc') {
+      data.start = o.start;
+      data.end = o.end;
+    }
+    if (o.type !== 'peg') data.width = o.width;
+    return data;
+  });
+}
+
+// ============================================================================
+// CONTACT QUERIES
+// ============================================================================
+
+/**
+ * Contact between a ball and an obstacle, or null when they don't touch.
+ * Same convention as arenaContact(): the normal points from the ball into
+ * the surface, so resolving means moving the ball by -normal * overlap.
+ */
+function obstacleContact(ob, ball) {
+  const type = ObstacleTypes[ob.type];
+  if (!type) return null;
+
+  const c = type.closest(ob, ball.x, ball.y);
+  const overlap = ball.r - c.d;
+  if (overlap <= 0) return null;
+
+  return { overlap, nx: -c.nx, ny: -c.ny };
+}
+
+function traceObstacle(ctx, ob) {
+  const type = ObstacleTypes[ob.type];
+  if (type) type.trace(ctx, ob);
+}
+
+function isObstacleFilled(ob) {
+  return !!ObstacleTypes[ob.type]?.filled;
+}
+
+// ============================================================================
+// LAYOUTS
+// ============================================================================
+
+/**
+ * Ready-made obstacle sets, sized from the current arena. Only pieces that
+ * fit comfortably inside the outline are kept.
+ */
+const OBSTACLE_LAYOUTS = {
+  none() {
+    return [];
+  },
+
+  // Staggered peg rows for Plinko-style drops
+  plinko(arena) {
+    const pegs = [];
+    const spacing = arena.r * 0.17;
+    const rows = 7;
+
+    for (let row = 0; row < rows; row++) {
+      const y = arena.cy - arena.r * 0.35 + row * spacing * 0.87;
+      const offset = row % 2 ? spacing / 2 : 0;
+      for (let x = arena.cx - arena.r + offset; x <= arena.cx + arena.r; x += spacing) {
+        pegs.push({ type: 'peg', x, y, r: 9 });
+      }
+    }
+
+    return pegs.filter(p => fitsInside(arena, p.x, p.y, spacing * 0.6));
+  },
+
+  // Round bumpers up top, slanted guides towards the bottom
+  pinball(arena) {
+    const { cx, cy, r } = arena;
+    return [
+      { type: 'peg', x: cx, y: cy - r * 0.3, r: 34 },
+      { type: 'peg', x: cx - r * 0.32, y: cy - r * 0.05, r: 28 },
+      { type: 'peg', x: cx + r * 0.32, y: cy - r * 0.05, r: 28 },
+      { type: 'segment', x: cx - r * 0.6, y: cy + r * 0.25, x2: cx - r * 0.2, y2: cy + r * 0.5, width: 10 },
+      { type: 'segment', x: cx + r * 0.6, y: cy + r * 0.25, x2: cx + r * 0.2, y2: cy + r * 0.5, width: 10 }
+    ];
+  },
+
+  // Three broken arcs around the middle
+  arcs(arena) {
+    const { cx, cy, r } = arena;
+    const third = (Math.PI * 2) / 3;
+    return [0, 1, 2].map(i => ({
+      type: 'arc',
+      x: cx,
+      y: cy,
+      r: r * 0.45,
+      start: i * third + 0.35,
+      end: (i + 1) * third - 0.35,
+      width: 10
+    }));
+  }
+};
+
+function fitsInside(arena, x, y, margin) {
+  return window.arenaSignedDistance(arena, x, y).d < -margin;
+}
+
+function createObstacleLayout(name, arena) {
+  const layout = OBSTACLE_LAYOUTS[name] || OBSTACLE_LAYOUTS.none;
+  return layout(arena);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.ObstacleTypes = ObstacleTypes;
+window.registerObstacleType = registerObstacleType;
+window.createObstacle = createObstacle;
+window.setArenaObstacles = setArenaObstacles;
+window.resetObstacles = resetObstacles;
+window.serializeObstacles = serializeObstacles;
+window.obstacleContact = obstacleContact;
+window.traceObstacle = traceObstacle;
+window.isObstacleFilled = isObstacleFilled;
+window.OBSTACLE_LAYOUTS = OBSTACLE_LAYOUTS;
+window.createObstacleLayout = createObstacleLayout;
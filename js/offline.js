@@ -0,0 +1,313 @@
+/**
+ * Offline Rendering for Bouncing Balls Editor
+ * Renders video frame by frame instead of in real time: every output frame
+ * moves the simulation on by exactly 1/fps seconds of ticks (through
+ * history, as Run does), then is drawn and encoded before the next one, so
+ * a 60 fps export plays smoothly however heavy the scene is. Encodes to
+ * WebM with WebCodecs when the browser has it, otherwise saves a zip of
+ * numbered PNG frames. Sound effects asked for during the render are logged
+ * with their simulation time and rendered afterwards in an
+ * OfflineAudioContext (sound.js), so they line up with the frames exactly.
+ * The recording plan (ui.js) can end a render before its length is up.
+ */
+
+// ============================================================================
+// RENDER STATE
+// ============================================================================
+
+const OFFLINE_MAX_SECONDS = 600;
+const OFFLINE_KEYFRAME_SECONDS = 2; // video key frame spacing
+const OFFLINE_QUEUE_LIMIT = 8; // frames waiting in the encoder before we wait too
+const OFFLINE_YIELD_MS = 50; // longest stretch without letting the page repaint
+const OFFLINE_AUDIO_BITRATE = 128000;
+
+// WebCodecs codec strings tried in order, with their WebM codec ids
+const OFFLINE_CODECS = [
+  { config: 'vp09.00.41.08', webm: 'V_VP9' },
+  { config: 'vp8', webm: 'V_VP8' }
+];
+
+const offlineRender = {
+  ui: {},
+  job: null // render in progress: { cancelled, output }
+};
+
+function isOfflineRendering() {
+  return offlineRender.job !== null;
+}
+
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// ============================================================================
+// OUTPUTS
+// ============================================================================
+
+/**
+ * First codec the browser's VideoEncoder takes at this size, or null
+ * without WebCodecs
+ */
+async function findVideoCodec(width, height, fps, bitrate) {
+  if (typeof VideoEncoder !== 'function' || typeof VideoFrame !== 'function') return null;
+
+  for (const codec of OFFLINE_CODECS) {
+    try {
+      const support = await VideoEncoder.isConfigSupported({ codec: codec.config, width, height, bitrate, framerate: fps });
+      if (support.supported) return codec;
+    } catch (err) {
+      console.warn(`Video codec ${codec.config} unavailable:`, err);
+    }
+  }
+  return null;
+}
+
+/**
+ * Encode a rendered sound track to Opus into `file`. False when the
+ * browser has no AudioEncoder for it.
+ */
+async function encodeOpusTrack(file, audio) {
+  const config = {
+    codec: 'opus',
+    sampleRate: audio.sampleRate,
+    numberOfChannels: audio.numberOfChannels,
+    bitrate: OFFLINE_AUDIO_BITRATE
+  };
+  if (typeof AudioEncoder !== 'function' || typeof AudioData !== 'function') return false;
+  try {
+    if (!(await AudioEncoder.isConfigSupported(config)).supported) return false;
+  } catch (err) {
+    console.warn('Opus audio encoding unavailable:', err);
+    return false;
+  }
+
+  let failure = null;
+  file.setAudioTrack({ codec: 'A_OPUS', sampleRate: audio.sampleRate, channels: audio.numberOfChannels });
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => file.addAudioChunk(chunk, meta),
+    error: (err) => { failure = err; }
+  });
+  encoder.configure(config);
+
+  // One second of planar samples per AudioData
+  for (let start = 0; start < audio.length; start += audio.sampleRate) {
+    const frames = Math.min(audio.sampleRate, audio.length - start);
+    const planes = new Float32Array(frames * audio.numberOfChannels);
+    for (let c = 0; c < audio.numberOfChannels; c++) {
+      planes.set(audio.getChannelData(c).subarray(start, start + frames), c * frames);
+    }
+    const data = new AudioData({
+      format: 'f32-planar',
+      sampleRate: audio.sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels: audio.numberOfChannels,
+      timestamp: Math.round((start * 1e6) / audio.sampleRate),
+      data: planes
+    });
+    encoder.encode(data);
+    data.close();
+  }
+
+  await encoder.flush();
+  encoder.close();
+  if (failure) throw failure;
+  return true;
+}
+
+function createVideoOutput(canvas, fps, codec, bitrate) {
+  const { width, height } = canvas;
+  const file = window.createWebmFile({ codec: codec.webm, width, height, fps });
+  let failure = null;
+
+  const encoder = new VideoEncoder({
+    output: chunk => file.addVideoChunk(chunk),
+    error: (err) => { failure = err; }
+  });
+  encoder.configure({ codec: codec.config, width, height, bitrate, framerate: fps });
+
+  return {
+    async addFrame(index) {
+      if (failure) throw failure;
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round((index * 1e6) / fps),
+        duration: Math.round(1e6 / fps)
+      });
+      encoder.encode(frame, { keyFrame: index % (fps * OFFLINE_KEYFRAME_SECONDS) === 0 });
+      frame.close();
+      while (encoder.encodeQueueSize > OFFLINE_QUEUE_LIMIT) await nextTask();
+    },
+    // Files to save: the video, plus a WAV when its sound can't go inside
+    async finish(audio) {
+      await encoder.flush();
+      encoder.close();
+      if (failure) throw failure;
+
+      if (audio && !(await encodeOpusTrack(file, audio))) {
+        console.warn('No Opus encoder; saving the sound as a separate WAV file');
+        return [{ blob: file.finish(), extension: 'webm' }, { blob: window.encodeWav(audio), extension: 'wav' }];
+      }
+      return [{ blob: file.finish(), extension: 'webm' }];
+    },
+    cancel() {
+      if (encoder.state !== 'closed') encoder.close();
+    }
+  };
+}
+
+function createPngOutput(canvas) {
+  const zip = window.createZipFile();
+
+  return {
+    async addFrame(index) {
+      const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(b => (b ? resolve(b) : reject(new Error('PNG export failed'))), 'image/png');
+      });
+      await zip.addFile(`frame_${String(index).padStart(5, '0')}.png`, blob);
+    },
+    async finish(audio) {
+      if (audio) await zip.addFile('audio.wav', window.encodeWav(audio));
+      return [{ blob: zip.finish(), extension: 'zip' }];
+    },
+    cancel() {}
+  };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the next N seconds from the current frame, or less when the
+ * recording plan ends it sooner. The simulation is paused for it and left
+ * at the last frame ticked.
+ */
+async function startOfflineRender() {
+  if (isOfflineRendering()) return;
+
+  const { ui } = offlineRender;
+  const { state } = window;
+  const canvas = window.$('#sim');
+  const fps = parseInt(window.$('#recordFps').value, 10) || 30;
+  const seconds = Math.max(1 / fps, Math.min(OFFLINE_MAX_SECONDS, parseFloat(ui.seconds.value) || 1));
+  let frameCount = Math.max(1, Math.round(seconds * fps));
+  const bitrate = window.getRecordingBitrate();
+
+  if (state.running) window.pauseSimulation();
+  if (!state.program) window.applyProgram();
+
+  const job = { cancelled: false, output: null, plan: window.startRecordingPlan() };
+  offlineRender.job = job;
+  updateRenderControls('Preparing…');
+
+  // Sounds are logged at their simulation time instead of played at render speed
+  const sounds = [];
+  const startFrame = window.currentFrame();
+  let status = '';
+  window.setSoundOutput((note) => {
+    sounds.push({ ...note, time: (window.currentFrame() + 1 - startFrame) * state.dt });
+  });
+
+  try {
+    const codec = await findVideoCodec(canvas.width, canvas.height, fps, bitrate);
+    job.output = codec ? createVideoOutput(canvas, fps, codec, bitrate) : createPngOutput(canvas);
+    console.log(`Offline render: ${frameCount} frames at ${fps} fps as ${codec ? `WebM (${codec.config})` : 'PNG frames (zip)'}`);
+
+    const startedMs = performance.now();
+    let expectedFrame = startFrame;
+    let yieldedMs = startedMs;
+
+    for (let i = 0; i < frameCount && !job.cancelled; i++) {
+      if (state.running || window.currentFrame() !== expectedFrame) {
+        throw new Error('the simulation was run or moved during the render');
+      }
+
+      // Ticks counted from the start frame, so frame times never drift
+      expectedFrame = startFrame + Math.round(i / fps / state.dt);
+      window.advanceFrames(expectedFrame - window.currentFrame());
+      // A frame at or past the plan's end time isn't part of the video any more
+      if (i > 0 && window.isRecordingPlanDone(job.plan)) {
+        frameCount = i;
+        break;
+      }
+      window.renderStatic();
+      await job.output.addFrame(i);
+
+      if (performance.now() - yieldedMs > OFFLINE_YIELD_MS) {
+        ui.progress.textContent = `Frame ${i + 1}/${frameCount}`;
+        await nextTask();
+        yieldedMs = performance.now();
+      }
+    }
+
+    if (job.cancelled) {
+      job.output.cancel();
+      status = 'Cancelled';
+      console.log('Offline render cancelled');
+    } else {
+      ui.progress.textContent = 'Finishing…';
+      const audio = sounds.length ? await window.renderSoundLog(sounds, frameCount / fps) : null;
+      for (const file of await job.output.finish(audio)) downloadRender(file.blob, fps, file.extension);
+      status = `Saved ${frameCount} frames`;
+      console.log(`Offline render done: ${frameCount} frames and ${sounds.length} notes in ${((performance.now() - startedMs) / 1000).toFixed(1)} s`);
+    }
+  } catch (err) {
+    console.error('Offline render failed:', err);
+    if (job.output) job.output.cancel();
+    window.showWarn(`Offline render failed: ${err.message}`);
+    status = 'Failed';
+  } finally {
+    window.setSoundOutput(window.playNote || null);
+    window.endRecordingPlan(job.plan);
+    offlineRender.job = null;
+    updateRenderControls(status);
+    window.updateStepControlsUI();
+  }
+}
+
+function cancelOfflineRender() {
+  if (offlineRender.job) offlineRender.job.cancelled = true;
+}
+
+function downloadRender(blob, fps, extension) {
+  const a = window.$('#downloadLink');
+  const url = URL.createObjectURL(blob);
+  const seedStr = window.$('#seed').value || 'seed';
+  const ts = new Date().toISOString().replace(/[:.]/g, '-');
+  a.href = url;
+  a.download = `bouncing-balls_${seedStr}_${fps}fps_${ts}.${extension}`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ============================================================================
+// CONTROLS
+// ============================================================================
+
+function updateRenderControls(message) {
+  const { ui } = offlineRender;
+  const rendering = isOfflineRendering();
+  ui.start.disabled = rendering;
+  ui.cancel.disabled = !rendering;
+  if (message !== undefined) ui.progress.textContent = message;
+}
+
+function initializeOfflineRender() {
+  const { ui } = offlineRender;
+  ui.seconds = document.getElementById('renderSeconds');
+  if (!ui.seconds) return;
+  ui.start = document.getElementById('btnRenderOffline');
+  ui.cancel = document.getElementById('btnRenderCancel');
+  ui.progress = document.getElementById('renderProgress');
+
+  ui.start.addEventListener('click', startOfflineRender);
+  ui.cancel.addEventListener('click', cancelOfflineRender);
+  updateRenderControls('');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.initializeOfflineRender = initializeOfflineRender;
+window.startOfflineRender = startOfflineRender;
+window.isOfflineRendering = isOfflineRendering;
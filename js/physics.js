@@ -1,6 +1,8 @@
 /**
  * Multi-Engine Physics System for Bouncing Balls Editor
  * Enhanced with State Snapshot System for Frame Stepping
+ * Part of the DOM-free simulation core: the page observes it through
+ * simulation events and the sound output, see cli/simulate.js for Node.
  */
 
 // Engine state
@@ -17,6 +19,11 @@ const state = {
   doCollide: false,
   score: 0,
   program: null,
+  vars: {}, // rule-program variables, see compileProgramCode() in program.js
+  music: { step: 0 }, // melody position and rule-set music settings, see music.js
+  forceFields: [], // live fields: the arena's scene fields plus any created by rules
+  exitPolicy: 'center', // what happens to balls leaving through a gap, see EXIT_POLICIES
+  replaying: false, // true while history.js re-simulates frames between keyframes
   physicsEngine: 'arcadeSimple' // Default to the cleanest collision mode
 };
 
@@ -26,40 +33,83 @@ const arena = {
   cy: 960, // canvas.height/2
   r: Math.min(1080, 1920) * 0.44,
   gapAngle: -Math.PI/2,
-  gapWidth: 0.28
-};
-
-// Physics engine configurations
-const physicsConfig = {
-  arcade: {
-    minReflectionAngle: 15, // degrees - prevents shallow angle cascades
-    maxReflectionAngle: 165, // degrees - prevents near-180° bounces
-    energyConservation: true,
-    gravity: 0
-  },
-  arcadeSimple: {
-    minReflectionAngle: 15, // degrees - prevents shallow angle cascades
-    maxReflectionAngle: 165, // degrees - prevents near-180° bounces
-    energyConservation: true,
-    gravity: 0,
-    separationOnly: true // No momentum transfer in collisions
-  },
-  realistic: {
-    gravity: 980, // pixels/s² (roughly earth gravity scaled)
-    elasticity: 0.85, // energy retained after bounce (0-1)
-    airResistance: 0.99, // velocity multiplier per frame
-    minVelocity: 5, // minimum velocity before ball stops (reduced from 10)
-    groundLevel: 0.9 // fraction of arena radius where "ground" physics apply
-  }
+  gapWidth: 0.28,
+  gapCount: 1, // gaps spaced evenly around the perimeter
+  shape: 'circle', // any name registered in arena.js
+  sides: 6, // polygon only
+  rotation: 0, // radians
+  aspect: 0.7, // half-width / half-height for roundedRect and stadium
+  cornerRadius: 0.25, // roundedRect only, fraction of the short half-side
+  rings: [], // rings shape only, see createRing() in arena.js
+  obstacles: [], // pegs, segments and arcs, see obstacles.js
+  forceFields: [], // scene force fields, copied into state.forceFields on reset()
+  motion: {} // per-parameter animation (gapAngle, gapWidth, r), see setArenaMotion()
 };
 
 // ============================================================================
-// STATE SNAPSHOT SYSTEM FOR FRAME STEPPING
+// STATE SNAPSHOTS (frame history lives in history.js)
 // ============================================================================
 
-const SNAPSHOT_BUFFER_SIZE = 5000; // Store last 5000 frames (~42-83 seconds of history)
-let simulationHistory = new Map(); // Use Map for better frame tracking
-let maxSavedFrame = -1;
+// Ball and obstacle proxies handed to rules -> how snapshots refer to them
+const proxyRefs = new WeakMap();
+
+/**
+ * Deep copy of rule-owned data (program variables, ball.data) for snapshots.
+ * Plain objects and arrays are copied all the way down. Ball and obstacle
+ * proxies become { ballRef: id } / { obstacleRef: id }, so snapshots stay
+ * plain data (worker messages, replay files); reviveSimData() turns them
+ * back into proxies. Anything else with behaviour is kept by reference.
+ */
+function cloneSimData(value, seen = new Map()) {
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return seen.get(value);
+  if (proxyRefs.has(value)) return { ...proxyRefs.get(value) };
+  
+  if (Array.isArray(value)) {
+    const out = [];
+    seen.set(value, out);
+    for (const item of value) out.push(cloneSimData(item, seen));
+    return out;
+  }
+  
+  // Plain objects only (Object.prototype from any realm, or no prototype)
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== null && Object.getPrototypeOf(proto) !== null) return value;
+  
+  const descriptors = Object.getOwnPropertyDescriptors(value);
+  const hasBehaviour = Object.values(descriptors).some(d => d.get || d.set || typeof d.value === 'function');
+  if (hasBehaviour) return value;
+  
+  const out = Object.create(proto);
+  seen.set(value, out);
+  for (const key of Object.keys(value)) out[key] = cloneSimData(value[key], seen);
+  return out;
+}
+
+/**
+ * Copy of snapshot data for the live simulation: references stored by
+ * cloneSimData() become proxies of the balls and obstacles with those ids
+ * (null once the ball is gone). Restore the balls first.
+ */
+function reviveSimData(value, seen = new Map()) {
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return seen.get(value);
+  
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === 'ballRef') {
+    const ball = state.balls.find(b => b.id === value.ballRef);
+    return ball ? ballProxy(ball) : null;
+  }
+  if (keys.length === 1 && keys[0] === 'obstacleRef') {
+    const obstacle = arena.obstacles.find(o => o.id === value.obstacleRef);
+    return obstacle ? obstacleProxy(obstacle) : null;
+  }
+  
+  const out = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+  seen.set(value, out);
+  for (const key of keys) out[key] = reviveSimData(value[key], seen);
+  return out;
+}
 
 /**
  * Create a complete snapshot of the current simulation state
@@ -77,28 +127,78 @@ function createStateSnapshot(frameNumber) {
       vy: ball.vy,
       r: ball.r,
       color: ball.color,
+      mass: ball.mass,
+      restitution: ball.restitution,
+      exitPolicy: ball.exitPolicy,
+      escaped: ball.escaped,
       alive: ball.alive,
-      data: { ...ball.data } // Shallow copy of data object
+      data: cloneSimData(ball.data)
     })),
     
     // Other simulation state
     nextId: state.nextId,
     t: state.t,
     score: state.score,
+    rng: window.getRngState(), // so spawns after a rewind draw the same numbers
+    vars: cloneSimData(state.vars),
+    music: cloneSimData(state.music),
+    
+    // Animated gap/radius and ring state are part of the simulation too
+    arena: window.captureArenaState(arena),
+    obstacleColors: arena.obstacles.map(o => o.color), // rules may recolor them
+    forceFields: window.cloneForceFields(state.forceFields),
     
     // Physics settings (in case they change during simulation)
     physicsEngine: state.physicsEngine,
     doCollide: state.doCollide,
+    exitPolicy: state.exitPolicy,
     
     // Frame metadata
     timestamp: performance.now()
   };
 }
 
+/**
+ * Hash of everything a snapshot stores (except its frame number and time)
+ * plus the settings and arena design that shape the next tick, used to
+ * notice edits made between ticks (spawning balls, editing a ball, new
+ * variables, moving obstacles...). history.js stores a keyframe whenever
+ * this changes without a tick, since re-simulation couldn't reproduce it.
+ */
+function simulationFingerprint() {
+  const { frameNumber, timestamp, ...data } = createStateSnapshot(0);
+  data.engineConfig = physicsConfig[state.physicsEngine] ?? null;
+  data.arenaDesign = window.serializeArenaDesign(arena);
+  data.obstacles = arena.obstacles;
+  
+  // 32-bit FNV-1a, plus the length to make collisions even less likely
+  const text = JSON.stringify(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${text.length}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Ball positions and radii, [x, y, r] per ball in order, for drawing
+ * elsewhere (worker batches, seed thumbnails)
+ */
+function packBallPositions(balls) {
+  const positions = new Float32Array(balls.length * 3);
+  balls.forEach((b, i) => {
+    positions[i * 3] = b.x;
+    positions[i * 3 + 1] = b.y;
+    positions[i * 3 + 2] = b.r;
+  });
+  return positions;
+}
+
 /**
  * Restore simulation state from a snapshot
  */
-function restoreStateSnapshot(snapshot) {
+function restoreStateSnapshot(snapshot, quiet = false) {
   if (!snapshot) return false;
   
   try {
@@ -111,23 +211,35 @@ function restoreStateSnapshot(snapshot) {
       vy: ballData.vy,
       r: ballData.r,
       color: ballData.color,
+      mass: ballData.mass ?? null,
+      restitution: ballData.restitution ?? 1,
+      exitPolicy: ballData.exitPolicy ?? null,
+      escaped: ballData.escaped ?? false,
       alive: ballData.alive,
-      data: { ...ballData.data }
+      data: null
     }));
     
+    // Rule data may refer to any ball, so it comes back once they all exist
+    state.balls.forEach((ball, i) => { ball.data = reviveSimData(snapshot.balls[i].data); });
+    
     // Restore other state
     state.nextId = snapshot.nextId;
     state.t = snapshot.t;
     state.score = snapshot.score;
+    window.setRngState(snapshot.rng);
+    state.vars = reviveSimData(snapshot.vars ?? {});
+    state.music = cloneSimData(snapshot.music ?? { step: 0 });
     state.physicsEngine = snapshot.physicsEngine;
     state.doCollide = snapshot.doCollide;
+    state.exitPolicy = snapshot.exitPolicy ?? state.exitPolicy;
     
-    // Update ball count display
-    if (window.$) {
-      window.$('#ballCount').textContent = String(state.balls.length);
+    window.restoreArenaState(arena, snapshot.arena);
+    state.forceFields = window.cloneForceFields(snapshot.forceFields ?? []);
+    if (snapshot.obstacleColors?.length === arena.obstacles.length) {
+      arena.obstacles.forEach((o, i) => { o.color = snapshot.obstacleColors[i]; });
     }
     
-    console.log(`State restored to frame ${snapshot.frameNumber} with ${state.balls.length} balls`);
+    if (!quiet) console.log(`State restored to frame ${snapshot.frameNumber} with ${state.balls.length} balls`);
     return snapshot.frameNumber;
   } catch (error) {
     console.error('Failed to restore state snapshot:', error);
@@ -135,362 +247,414 @@ function restoreStateSnapshot(snapshot) {
   }
 }
 
+// ============================================================================
+// SIMULATION EVENTS
+// ============================================================================
+
+/**
+ * Notable moments (wall hits, collisions, spawns, exits, score changes)
+ * reported to tools such as the history timeline, independently of the
+ * rule program. Listeners get (type, ballId).
+ */
+const simulationEventListeners = [];
+
+function onSimulationEvent(listener) {
+  simulationEventListeners.push(listener);
+}
+
 /**
- * Save current state to history buffer with frame number
+ * `impact` is the approach speed (px/s) of wall hits, obstacle hits and
+ * collisions, for sounds that follow how hard things hit
  */
-function saveSimulationState(frameNumber) {
-  if (frameNumber === undefined || frameNumber === null) {
-    console.warn('saveSimulationState called without frame number');
-    return;
+function emitSimulationEvent(type, ball = null, impact = 0) {
+  for (const listener of simulationEventListeners) {
+    listener(type, ball ? ball.id : null, impact);
   }
+}
+
+// Notes (music.js picks them) go to whatever output the host installs
+// (Web Audio in sound.js); headless runs have none
+let soundOutput = null;
+
+function setSoundOutput(output) {
+  soundOutput = output;
+}
+
+/**
+ * Hand a note ({ freq, velocity, dur, instrument }) to the sound output
+ */
+function pingSfx(note) {
+  if (!state.doSfx || state.replaying || !soundOutput) return; // silent while history re-simulates
+  soundOutput(note);
+}
+
+// The "stop recording" block asks whatever records (ui.js, offline.js) to
+// stop, passing the simulation time it was asked at
+let recordingStopHandler = null;
+
+function setRecordingStopHandler(handler) {
+  recordingStopHandler = handler;
+}
+
+function requestRecordingStop(t = state.t) {
+  if (state.replaying || !recordingStopHandler) return; // not from re-simulated frames or seed trials
+  recordingStopHandler(t);
+}
+
+// ============================================================================
+// OBSTACLE COLLISIONS
+// ============================================================================
+
+// Approach speed (px/s) below which a ball is resting on a surface, not hitting it
+const REST_CONTACT_SPEED = 20;
+
+/**
+ * Push a ball out of a surface and reflect the normal part of its velocity,
+ * scaled by `bounce` (1 = lossless). Returns false when the ball was already
+ * moving away or just resting on it (e.g. under gravity), so those don't
+ * count as hits.
+ */
+function bounceOffSurface(ball, contact, bounce) {
+  const { nx, ny, overlap } = contact;
+  ball.x -= nx * overlap;
+  ball.y -= ny * overlap;
   
-  const snapshot = createStateSnapshot(frameNumber);
+  const vdotn = ball.vx * nx + ball.vy * ny;
+  if (vdotn <= 0) return false;
   
-  // Store in Map with frame number as key
-  simulationHistory.set(frameNumber, snapshot);
-  maxSavedFrame = Math.max(maxSavedFrame, frameNumber);
+  if (vdotn < REST_CONTACT_SPEED) {
+    ball.vx -= vdotn * nx;
+    ball.vy -= vdotn * ny;
+    return false;
+  }
   
-  // Clean up old frames to keep memory under control
-  if (simulationHistory.size > SNAPSHOT_BUFFER_SIZE) {
-    const oldestFrameToKeep = maxSavedFrame - SNAPSHOT_BUFFER_SIZE + 1;
-    for (const [frame, _] of simulationHistory) {
-      if (frame < oldestFrameToKeep) {
-        simulationHistory.delete(frame);
+  ball.vx -= (1 + bounce) * vdotn * nx;
+  ball.vy -= (1 + bounce) * vdotn * ny;
+  return true;
+}
+
+/**
+ * Resolve a ball against every obstacle with the engine's own response
+ * (a lossless bounce unless the engine has its own reflectObstacle)
+ */
+function collideObstacles(ball, engine, config) {
+  for (const ob of arena.obstacles) {
+    const contact = window.obstacleContact(ob, ball);
+    if (!contact) continue;
+    
+    const impact = Math.abs(ball.vx * contact.nx + ball.vy * contact.ny);
+    const hit = engine.reflectObstacle
+      ? engine.reflectObstacle(ball, contact, config)
+      : bounceOffSurface(ball, contact, ball.restitution ?? 1);
+    if (!hit) continue;
+    
+    if (state.program?.onObstacleHit) {
+      try {
+        state.program.onObstacleHit(ballProxy(ball), obstacleProxy(ob));
+      } catch (e) {
+        console.warn(e);
       }
     }
-  }
-  
-  // Debug log occasionally
-  if (frameNumber % 500 === 0) {
-    console.log(`State saved for frame ${frameNumber}, buffer has ${simulationHistory.size} frames`);
+    
+    emitSimulationEvent('obstacle', ball, impact);
   }
 }
 
+// ============================================================================
+// FORCE FIELDS
+// ============================================================================
+
 /**
- * Restore state for a specific frame number
+ * Accelerate a ball by every live force field. Runs before the engine's
+ * updateBall(), so arcade engines get pushed around just like realistic.
  */
-function restoreSimulationState(targetFrame) {
-  if (targetFrame < 0) {
-    console.log('Cannot restore negative frame number');
-    return false;
+function applyForceFields(ball, dt) {
+  for (const field of state.forceFields) {
+    const { ax, ay } = window.forceFieldAccel(field, ball.x, ball.y);
+    ball.vx += ax * dt;
+    ball.vy += ay * dt;
   }
-  
-  const snapshot = simulationHistory.get(targetFrame);
-  if (!snapshot) {
-    console.log(`No saved state for frame ${targetFrame}. Available frames: ${Math.min(...simulationHistory.keys())} to ${Math.max(...simulationHistory.keys())}`);
-    return false;
-  }
-  
-  // Restore the state
-  const restoredFrame = restoreStateSnapshot(snapshot);
-  if (restoredFrame !== false) {
-    console.log(`Successfully restored state for frame ${targetFrame}`);
-    return targetFrame;
-  }
-  
-  return false;
 }
 
+// ============================================================================
+// PHYSICS ENGINE REGISTRY
+// ============================================================================
+
 /**
- * Get the closest available frame to a target frame
+ * Engines plug into the tick through a few hooks. Each hook gets the engine's
+ * own settings (physicsConfig[name]) as its last argument:
+ *   updateBall(ball, dt, config)             integrate one (sub-)step
+ *   reflectWall(ball, contact, config)       respond to a wall contact; the
+ *                                            normal points into the wall, so
+ *                                            resolving moves the ball by -n * overlap
+ *   resolvePair(a, b, contact, config)       velocity response for two balls that
+ *                                            were already pushed apart along n (a -> b)
+ *   reflectObstacle(ball, contact, config)   optional, defaults to a lossless bounce;
+ *                                            return false for resting contacts
+ * and describe themselves with:
+ *   label, description                       shown in the engine picker
+ *   configSchema                             settings panel fields (see below)
+ *   defaults                                 extra settings with no UI field
+ *   pairSeparationSpeed                      push apart after rules grow balls (default 20)
+ *
+ * A configSchema entry is { key, label, type: 'number' | 'select', default,
+ * min, max, step, unit, title, options: [[label, value], ...] }.
+ * Gap exits, wall/obstacle events and sound are handled by the tick itself.
  */
-function getClosestAvailableFrame(targetFrame) {
-  if (simulationHistory.has(targetFrame)) {
-    return targetFrame;
+const PhysicsEngines = {};
+
+// Settings per engine, filled from each configSchema by registerPhysicsEngine()
+const physicsConfig = {};
+
+function registerPhysicsEngine(name, engine) {
+  if (typeof engine?.updateBall !== 'function' ||
+      typeof engine.reflectWall !== 'function' ||
+      typeof engine.resolvePair !== 'function') {
+    throw new Error(`Physics engine "${name}" needs updateBall, reflectWall and resolvePair`);
   }
   
-  // Find closest frame
-  let closestFrame = -1;
-  let minDistance = Infinity;
+  PhysicsEngines[name] = { label: name, description: '', configSchema: [], ...engine, name };
   
-  for (const frame of simulationHistory.keys()) {
-    const distance = Math.abs(frame - targetFrame);
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestFrame = frame;
-    }
+  // Schema defaults first, then anything already configured for this name
+  const config = { ...(engine.defaults || {}) };
+  for (const field of PhysicsEngines[name].configSchema) config[field.key] = field.default;
+  physicsConfig[name] = { ...config, ...(physicsConfig[name] || {}) };
+  
+  // Let the UI add engines registered after it was built (separate script files)
+  if (typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+    window.dispatchEvent(new CustomEvent('physicsengineregistered', { detail: { name } }));
   }
   
-  return closestFrame >= 0 ? closestFrame : null;
+  return PhysicsEngines[name];
 }
 
-/**
- * Clear simulation history (useful for reset)
- */
-function clearSimulationHistory() {
-  simulationHistory.clear();
-  maxSavedFrame = -1;
-  console.log('Simulation history cleared');
+function getPhysicsEngine(name) {
+  return PhysicsEngines[name] || null;
 }
 
-/**
- * Get history buffer stats for debugging
- */
-function getHistoryStats() {
-  const frames = Array.from(simulationHistory.keys()).sort((a, b) => a - b);
-  const memoryUsage = JSON.stringify([...simulationHistory.values()]).length; // Rough estimate
-  
-  return {
-    totalFrames: simulationHistory.size,
-    frameRange: frames.length > 0 ? `${frames[0]} to ${frames[frames.length - 1]}` : 'none',
-    maxSavedFrame: maxSavedFrame,
-    memoryUsageBytes: memoryUsage,
-    availableFrames: frames
-  };
+function getPhysicsEngines() {
+  return Object.values(PhysicsEngines);
 }
 
-// Audio context for sound effects
-let audioCtx = null;
+function getCurrentEngine() {
+  return PhysicsEngines[state.physicsEngine] || PhysicsEngines.arcade;
+}
 
-function pingSfx(freq = 520, dur = 0.04) {
-  if (!state.doSfx) return;
-  try {
-    if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    const o = audioCtx.createOscillator();
-    const g = audioCtx.createGain();
-    o.type = 'sine';
-    o.frequency.value = freq;
-    g.gain.value = 0.06;
-    o.connect(g);
-    g.connect(audioCtx.destination);
-    const t = audioCtx.currentTime;
-    o.start(t);
-    g.gain.exponentialRampToValueAtTime(0.0001, t + dur);
-    o.stop(t + dur);
-  } catch (err) {
-    console.warn('Audio blocked by browser/sandbox:', err);
-    state.doSfx = false;
-    $('#chkSfx').checked = false;
+function setPhysicsEngine(engineName) {
+  if (!PhysicsEngines[engineName]) {
+    console.warn(`Unknown physics engine: ${engineName}`);
+    return;
   }
+  state.physicsEngine = engineName;
+  console.log(`Physics engine switched to: ${engineName}`);
 }
 
 // ============================================================================
-// ARCADE PHYSICS ENGINE (Perfect Mathematical Bouncing)
+// SHARED ENGINE BUILDING BLOCKS
 // ============================================================================
 
-const ArcadePhysics = {
-  updateBall(ball, dt) {
-    // Pure kinematic motion - no gravity, no energy loss
-    ball.x += ball.vx * dt;
-    ball.y += ball.vy * dt;
+// Every built-in engine can split fast ticks, see computeSubsteps()
+const SUBSTEP_SCHEMA = [
+  {
+    key: 'substeps', label: 'Sub-steps', type: 'select', default: 'adaptive',
+    options: [['Adaptive', 'adaptive'], ['Off', 'off']]
   },
+  {
+    key: 'maxSubsteps', label: 'Max steps', type: 'number', default: 16,
+    min: 1, max: 64, step: 1, title: 'Maximum sub-steps per tick'
+  }
+];
 
-  reflectWall(ball) {
-    const dx = ball.x - arena.cx;
-    const dy = ball.y - arena.cy;
-    const dist = Math.hypot(dx, dy);
-    
-    if (dist + ball.r <= arena.r) return false;
-    
-    // Check for gap exit
-    const ang = Math.atan2(dy, dx);
-    const d = Math.atan2(Math.sin(ang - arena.gapAngle), Math.cos(ang - arena.gapAngle));
-    
-    if (Math.abs(d) < arena.gapWidth / 2) {
-      if (state.program?.onExit) {
-        try {
-          state.program.onExit(ballProxy(ball));
-        } catch (e) {
-          console.warn(e);
-        }
-      }
-      ball.x = arena.cx;
-      ball.y = arena.cy;
-      return true;
-    }
-    
-    // Wall reflection with angle constraints
-    const nx = dx / dist;
-    const ny = dy / dist;
-    const overlap = dist + ball.r - arena.r;
-    ball.x -= nx * overlap;
-    ball.y -= ny * overlap;
-    
-    // Calculate natural reflection
-    const vdotn = ball.vx * nx + ball.vy * ny;
-    let newVx = ball.vx - 2 * vdotn * nx;
-    let newVy = ball.vy - 2 * vdotn * ny;
-    
-    // Apply minimum and maximum reflection angle constraints
-    const config = physicsConfig.arcade;
-    
-    // Calculate natural reflection angle in degrees (-180 to +180)
-    let reflectionAngleDeg = (Math.atan2(newVy, newVx) * 180) / Math.PI;
-    
-    // Normalize to -180 to +180 range
-    while (reflectionAngleDeg > 180) reflectionAngleDeg -= 360;
-    while (reflectionAngleDeg < -180) reflectionAngleDeg += 360;
-    
-    const speed = Math.hypot(newVx, newVy);
-    let constrainedAngleDeg = reflectionAngleDeg;
-    
-    // Apply constraints by finding closest valid angle
-    if (reflectionAngleDeg > config.maxReflectionAngle) {
-      // Ball wants to bounce at angle > max (e.g., 175°), constrain to max (e.g., 165°)
-      constrainedAngleDeg = config.maxReflectionAngle;
-      console.log(`Constrained ${reflectionAngleDeg.toFixed(1)}° to max ${config.maxReflectionAngle}°`);
-    } else if (reflectionAngleDeg < -config.maxReflectionAngle) {
-      // Ball wants to bounce at angle < -max (e.g., -175°), constrain to -max (e.g., -165°)
-      constrainedAngleDeg = -config.maxReflectionAngle;
-      console.log(`Constrained ${reflectionAngleDeg.toFixed(1)}° to -max ${-config.maxReflectionAngle}°`);
-    }
-    
-    // Apply minimum angle constraints (prevent too shallow bounces)
-    if (Math.abs(constrainedAngleDeg) < config.minReflectionAngle) {
-      // Ball wants to bounce too shallow, push to minimum
-      if (constrainedAngleDeg >= 0) {
-        constrainedAngleDeg = config.minReflectionAngle;
-      } else {
-        constrainedAngleDeg = -config.minReflectionAngle;
-      }
-      console.log(`Applied min angle constraint: ${constrainedAngleDeg}°`);
-    }
-    
-    // Apply the constrained angle if it changed
-    if (Math.abs(constrainedAngleDeg - reflectionAngleDeg) > 0.1) {
-      const constrainedAngleRad = (constrainedAngleDeg * Math.PI) / 180;
-      newVx = Math.cos(constrainedAngleRad) * speed;
-      newVy = Math.sin(constrainedAngleRad) * speed;
-    }
-    
-    ball.vx = newVx;
-    ball.vy = newVy;
-    
-    if (state.program?.onWallHit) {
-      try {
-        state.program.onWallHit(ballProxy(ball));
-      } catch (e) {
-        console.warn(e);
-      }
+// Arcade wall bounces are clamped away from too shallow or too steep angles
+const REFLECTION_ANGLE_SCHEMA = [
+  { key: 'minReflectionAngle', label: 'Min Angle', type: 'number', default: 15, min: 5, max: 45, step: 1, unit: '°' },
+  { key: 'maxReflectionAngle', label: 'Max Angle', type: 'number', default: 165, min: 120, max: 175, step: 1, unit: '°' }
+];
+
+// Pure kinematic motion - no gravity, no energy loss
+function updateBallKinematic(ball, dt) {
+  ball.x += ball.vx * dt;
+  ball.y += ball.vy * dt;
+}
+
+/**
+ * Wall reflection with min/max reflection angle constraints
+ */
+function reflectWallWithAngleLimits(ball, contact, config) {
+  const nx = contact.nx;
+  const ny = contact.ny;
+  const overlap = contact.overlap;
+  ball.x -= nx * overlap;
+  ball.y -= ny * overlap;
+  
+  // Calculate natural reflection
+  const vdotn = ball.vx * nx + ball.vy * ny;
+  let newVx = ball.vx - 2 * vdotn * nx;
+  let newVy = ball.vy - 2 * vdotn * ny;
+  
+  // Calculate natural reflection angle in degrees (-180 to +180)
+  let reflectionAngleDeg = (Math.atan2(newVy, newVx) * 180) / Math.PI;
+  
+  // Normalize to -180 to +180 range
+  while (reflectionAngleDeg > 180) reflectionAngleDeg -= 360;
+  while (reflectionAngleDeg < -180) reflectionAngleDeg += 360;
+  
+  const speed = Math.hypot(newVx, newVy);
+  let constrainedAngleDeg = reflectionAngleDeg;
+  
+  // Apply constraints by finding closest valid angle
+  if (reflectionAngleDeg > config.maxReflectionAngle) {
+    // Ball wants to bounce at angle > max (e.g., 175°), constrain to max (e.g., 165°)
+    constrainedAngleDeg = config.maxReflectionAngle;
+    console.log(`Constrained ${reflectionAngleDeg.toFixed(1)}° to max ${config.maxReflectionAngle}°`);
+  } else if (reflectionAngleDeg < -config.maxReflectionAngle) {
+    // Ball wants to bounce at angle < -max (e.g., -175°), constrain to -max (e.g., -165°)
+    constrainedAngleDeg = -config.maxReflectionAngle;
+    console.log(`Constrained ${reflectionAngleDeg.toFixed(1)}° to -max ${-config.maxReflectionAngle}°`);
+  }
+  
+  // Apply minimum angle constraints (prevent too shallow bounces)
+  if (Math.abs(constrainedAngleDeg) < config.minReflectionAngle) {
+    // Ball wants to bounce too shallow, push to minimum
+    if (constrainedAngleDeg >= 0) {
+      constrainedAngleDeg = config.minReflectionAngle;
+    } else {
+      constrainedAngleDeg = -config.minReflectionAngle;
     }
-    
-    pingSfx();
-    return true;
+    console.log(`Applied min angle constraint: ${constrainedAngleDeg}°`);
   }
-};
+  
+  // Apply the constrained angle if it changed
+  if (Math.abs(constrainedAngleDeg - reflectionAngleDeg) > 0.1) {
+    const constrainedAngleRad = (constrainedAngleDeg * Math.PI) / 180;
+    newVx = Math.cos(constrainedAngleRad) * speed;
+    newVy = Math.sin(constrainedAngleRad) * speed;
+  }
+  
+  // Restitution below 1 makes even arcade walls soak up some speed
+  const restitution = ball.restitution ?? 1;
+  ball.vx = newVx * restitution;
+  ball.vy = newVy * restitution;
+}
+
+/**
+ * Mass-weighted impulse along the contact normal with restitution `e`;
+ * momentum ma*va + mb*vb is conserved
+ */
+function applyPairImpulse(a, b, contact, e) {
+  const { nx, ny } = contact;
+  const ma = ballMass(a);
+  const mb = ballMass(b);
+  const va = a.vx * nx + a.vy * ny;
+  const vb = b.vx * nx + b.vy * ny;
+  const dv = vb - va;
+  
+  const j = ((1 + e) * dv) / (1 / ma + 1 / mb);
+  
+  a.vx += (j / ma) * nx;
+  a.vy += (j / ma) * ny;
+  b.vx -= (j / mb) * nx;
+  b.vy -= (j / mb) * ny;
+}
+
+// The less bouncy of the two balls wins
+function pairRestitution(a, b) {
+  return Math.min(a.restitution ?? 1, b.restitution ?? 1);
+}
 
 // ============================================================================
-// ARCADE SIMPLE PHYSICS ENGINE (No Momentum Transfer)
+// ARCADE PHYSICS ENGINES (Simple + Perfect Bouncing)
 // ============================================================================
 
-const ArcadeSimplePhysics = {
-  updateBall(ball, dt) {
-    // Pure kinematic motion - no gravity, no energy loss (same as regular arcade)
-    ball.x += ball.vx * dt;
-    ball.y += ball.vy * dt;
-  },
-
-  reflectWall(ball) {
-    // Wall physics identical to regular arcade mode
-    const dx = ball.x - arena.cx;
-    const dy = ball.y - arena.cy;
-    const dist = Math.hypot(dx, dy);
-    
-    if (dist + ball.r <= arena.r) return false;
-    
-    // Check for gap exit
-    const ang = Math.atan2(dy, dx);
-    const d = Math.atan2(Math.sin(ang - arena.gapAngle), Math.cos(ang - arena.gapAngle));
-    
-    if (Math.abs(d) < arena.gapWidth / 2) {
-      if (state.program?.onExit) {
-        try {
-          state.program.onExit(ballProxy(ball));
-        } catch (e) {
-          console.warn(e);
-        }
-      }
-      ball.x = arena.cx;
-      ball.y = arena.cy;
-      return true;
-    }
-    
-    // Wall reflection with angle constraints (same as regular arcade)
-    const nx = dx / dist;
-    const ny = dy / dist;
-    const overlap = dist + ball.r - arena.r;
-    ball.x -= nx * overlap;
-    ball.y -= ny * overlap;
-    
-    // Calculate natural reflection
-    const vdotn = ball.vx * nx + ball.vy * ny;
-    let newVx = ball.vx - 2 * vdotn * nx;
-    let newVy = ball.vy - 2 * vdotn * ny;
-    
-    // Apply minimum and maximum reflection angle constraints
-    const config = physicsConfig.arcadeSimple;
-    
-    // Calculate natural reflection angle in degrees (-180 to +180)
-    let reflectionAngleDeg = (Math.atan2(newVy, newVx) * 180) / Math.PI;
+registerPhysicsEngine('arcadeSimple', {
+  label: 'Arcade Simple (No Energy Transfer)',
+  description: 'Balls bounce off each other but keep their own speed',
+  configSchema: [...REFLECTION_ANGLE_SCHEMA, ...SUBSTEP_SCHEMA],
+  pairSeparationSpeed: 10, // Smaller push for simple mode
+  
+  updateBall: updateBallKinematic,
+  reflectWall: reflectWallWithAngleLimits,
+  
+  resolvePair(a, b, contact) {
+    // Reflect velocities but preserve original speeds
+    const { nx, ny } = contact;
+    const originalSpeedA = Math.hypot(a.vx, a.vy);
+    const originalSpeedB = Math.hypot(b.vx, b.vy);
     
-    // Normalize to -180 to +180 range
-    while (reflectionAngleDeg > 180) reflectionAngleDeg -= 360;
-    while (reflectionAngleDeg < -180) reflectionAngleDeg += 360;
+    // Reflect velocity components along collision normal
+    const vaNormal = a.vx * nx + a.vy * ny;
+    const vbNormal = b.vx * nx + b.vy * ny;
     
-    const speed = Math.hypot(newVx, newVy);
-    let constrainedAngleDeg = reflectionAngleDeg;
+    // Apply reflection (bounce off each other)
+    a.vx = a.vx - 2 * vaNormal * nx;
+    a.vy = a.vy - 2 * vaNormal * ny;
+    b.vx = b.vx - 2 * vbNormal * nx;
+    b.vy = b.vy - 2 * vbNormal * ny;
     
-    // Apply constraints by finding closest valid angle
-    if (reflectionAngleDeg > config.maxReflectionAngle) {
-      constrainedAngleDeg = config.maxReflectionAngle;
-      console.log(`Constrained ${reflectionAngleDeg.toFixed(1)}° to max ${config.maxReflectionAngle}°`);
-    } else if (reflectionAngleDeg < -config.maxReflectionAngle) {
-      constrainedAngleDeg = -config.maxReflectionAngle;
-      console.log(`Constrained ${reflectionAngleDeg.toFixed(1)}° to -max ${-config.maxReflectionAngle}°`);
-    }
+    // Restore original speeds (preserve energy per ball)
+    const newSpeedA = Math.hypot(a.vx, a.vy);
+    const newSpeedB = Math.hypot(b.vx, b.vy);
     
-    // Apply minimum angle constraints (prevent too shallow bounces)
-    if (Math.abs(constrainedAngleDeg) < config.minReflectionAngle) {
-      if (constrainedAngleDeg >= 0) {
-        constrainedAngleDeg = config.minReflectionAngle;
-      } else {
-        constrainedAngleDeg = -config.minReflectionAngle;
-      }
-      console.log(`Applied min angle constraint: ${constrainedAngleDeg}°`);
+    if (newSpeedA > 0) {
+      const scaleA = originalSpeedA / newSpeedA;
+      a.vx *= scaleA;
+      a.vy *= scaleA;
     }
     
-    // Apply the constrained angle if it changed
-    if (Math.abs(constrainedAngleDeg - reflectionAngleDeg) > 0.1) {
-      const constrainedAngleRad = (constrainedAngleDeg * Math.PI) / 180;
-      newVx = Math.cos(constrainedAngleRad) * speed;
-      newVy = Math.sin(constrainedAngleRad) * speed;
+    if (newSpeedB > 0) {
+      const scaleB = originalSpeedB / newSpeedB;
+      b.vx *= scaleB;
+      b.vy *= scaleB;
     }
     
-    ball.vx = newVx;
-    ball.vy = newVy;
-    
-    if (state.program?.onWallHit) {
-      try {
-        state.program.onWallHit(ballProxy(ball));
-      } catch (e) {
-        console.warn(e);
-      }
-    }
-    
-    pingSfx();
-    return true;
+    console.log(`Arcade Simple collision: preserved speeds ${originalSpeedA.toFixed(1)}, ${originalSpeedB.toFixed(1)}`);
   }
-};
+});
+
+registerPhysicsEngine('arcade', {
+  label: 'Arcade (Perfect Bouncing)',
+  description: 'Elastic, mass-weighted collisions with no gravity',
+  configSchema: [...REFLECTION_ANGLE_SCHEMA, ...SUBSTEP_SCHEMA],
+  
+  updateBall: updateBallKinematic,
+  reflectWall: reflectWallWithAngleLimits,
+  
+  resolvePair(a, b, contact) {
+    applyPairImpulse(a, b, contact, pairRestitution(a, b));
+  }
+});
 
 // ============================================================================
 // REALISTIC PHYSICS ENGINE (Gravity + Energy Loss)
 // ============================================================================
 
-const RealisticPhysics = {
-  updateBall(ball, dt) {
-    const config = physicsConfig.realistic;
-    
+registerPhysicsEngine('realistic', {
+  label: 'Realistic (Gravity + Energy Loss)',
+  description: 'Gravity, air drag and energy loss so balls settle naturally',
+  configSchema: [
+    { key: 'gravity', label: 'Gravity', type: 'number', default: 980, min: 0, max: 2000, step: 50 }, // pixels/s² (roughly earth gravity scaled)
+    { key: 'elasticity', label: 'Bounce', type: 'number', default: 0.85, min: 0.1, max: 1.0, step: 0.05 }, // energy retained after bounce (0-1)
+    { key: 'airResistance', label: 'Air Drag', type: 'number', default: 0.99, min: 0.9, max: 1.0, step: 0.01 }, // velocity multiplier per frame
+    ...SUBSTEP_SCHEMA
+  ],
+  defaults: {
+    minVelocity: 5, // minimum velocity before ball stops (reduced from 10)
+    groundLevel: 0.9 // fraction of arena size from center where "ground" physics apply
+  },
+  
+  updateBall(ball, dt, config) {
     // Apply gravity
     ball.vy += config.gravity * dt;
     
-    // Apply air resistance
-    ball.vx *= config.airResistance;
-    ball.vy *= config.airResistance;
+    // Apply air resistance (defined per full tick, so scale it for sub-steps)
+    const drag = dt === state.dt ? config.airResistance : Math.pow(config.airResistance, dt / state.dt);
+    ball.vx *= drag;
+    ball.vy *= drag;
     
     // Smart velocity stopping - only stop balls that are truly settled
     const speed = Math.hypot(ball.vx, ball.vy);
-    const distFromCenter = Math.hypot(ball.x - arena.cx, ball.y - arena.cy);
-    const isNearGround = distFromCenter > arena.r * config.groundLevel;
+    const wallDist = window.arenaSignedDistance(arena, ball.x, ball.y).d;
+    const isNearGround = wallDist > -arena.r * (1 - config.groundLevel);
     
     // Only stop if ball is very slow AND near the ground, or if individual components are tiny
     if ((speed < config.minVelocity && isNearGround) || 
@@ -503,35 +667,12 @@ const RealisticPhysics = {
     ball.x += ball.vx * dt;
     ball.y += ball.vy * dt;
   },
-
-  reflectWall(ball) {
-    const dx = ball.x - arena.cx;
-    const dy = ball.y - arena.cy;
-    const dist = Math.hypot(dx, dy);
-    
-    if (dist + ball.r <= arena.r) return false;
-    
-    // Check for gap exit
-    const ang = Math.atan2(dy, dx);
-    const d = Math.atan2(Math.sin(ang - arena.gapAngle), Math.cos(ang - arena.gapAngle));
-    
-    if (Math.abs(d) < arena.gapWidth / 2) {
-      if (state.program?.onExit) {
-        try {
-          state.program.onExit(ballProxy(ball));
-        } catch (e) {
-          console.warn(e);
-        }
-      }
-      ball.x = arena.cx;
-      ball.y = arena.cy;
-      return true;
-    }
-    
+  
+  reflectWall(ball, contact, config) {
     // Wall reflection with energy loss
-    const nx = dx / dist;
-    const ny = dy / dist;
-    const overlap = dist + ball.r - arena.r;
+    const nx = contact.nx;
+    const ny = contact.ny;
+    const overlap = contact.overlap;
     ball.x -= nx * overlap;
     ball.y -= ny * overlap;
     
@@ -539,43 +680,53 @@ const RealisticPhysics = {
     ball.vx = ball.vx - 2 * vdotn * nx;
     ball.vy = ball.vy - 2 * vdotn * ny;
     
-    // Apply elasticity (energy loss)
-    const config = physicsConfig.realistic;
-    ball.vx *= config.elasticity;
-    ball.vy *= config.elasticity;
-    
-    if (state.program?.onWallHit) {
-      try {
-        state.program.onWallHit(ballProxy(ball));
-      } catch (e) {
-        console.warn(e);
-      }
-    }
-    
-    pingSfx();
-    return true;
+    // Apply elasticity (energy loss), scaled by the ball's own restitution
+    const bounce = config.elasticity * (ball.restitution ?? 1);
+    ball.vx *= bounce;
+    ball.vy *= bounce;
+  },
+  
+  resolvePair(a, b, contact, config) {
+    // Realistic mode also loses its global elasticity on every impact
+    applyPairImpulse(a, b, contact, pairRestitution(a, b) * config.elasticity);
+  },
+  
+  reflectObstacle(ball, contact, config) {
+    return bounceOffSurface(ball, contact, config.elasticity * (ball.restitution ?? 1));
   }
-};
+});
 
 // ============================================================================
-// PHYSICS ENGINE MANAGER
+// WALL CONTACTS
 // ============================================================================
 
-function getCurrentEngine() {
-  switch (state.physicsEngine) {
-    case 'realistic':
-      return RealisticPhysics;
-    case 'arcadeSimple':
-      return ArcadeSimplePhysics;
-    case 'arcade':
-    default:
-      return ArcadePhysics;
+/**
+ * Resolve a ball against the arena wall: gap exits follow the exit policy,
+ * everything else is the engine's bounce followed by the wall-hit event
+ */
+function collideWalls(ball, engine, config) {
+  const contact = window.arenaContact(arena, ball);
+  if (!contact) return false;
+  
+  // Check for gap exit
+  if (contact.inGap) {
+    handleGapExit(ball, contact);
+    return true;
   }
-}
-
-function setPhysicsEngine(engineName) {
-  state.physicsEngine = engineName;
-  console.log(`Physics engine switched to: ${engineName}`);
+  
+  const impact = Math.abs(ball.vx * contact.nx + ball.vy * contact.ny);
+  engine.reflectWall(ball, contact, config);
+  emitSimulationEvent('wall', ball, impact);
+  
+  if (state.program?.onWallHit) {
+    try {
+      state.program.onWallHit(ballProxy(ball));
+    } catch (e) {
+      console.warn(e);
+    }
+  }
+  
+  return true;
 }
 
 // ============================================================================
@@ -586,7 +737,7 @@ function spawnBall(props = {}) {
   try {
     const id = state.nextId++;
     let angle = window.rng() * Math.PI * 2;
-    let rad = Math.sqrt(window.rng()) * (arena.r * 0.85);
+    let rad = Math.sqrt(window.rng()) * (window.arenaBoundaryDistance(arena, angle) * 0.85);
     let x = arena.cx + Math.cos(angle) * rad;
     let y = arena.cy + Math.sin(angle) * rad;
     let speed = 250 + window.rng() * 250;
@@ -602,12 +753,16 @@ function spawnBall(props = {}) {
       vy: props.vy ?? vy,
       r: props.r ?? 15, // Fixed size instead of random (12 + window.rng() * 10)
       color: props.color ?? window.randColor(),
+      mass: props.mass ?? null, // null = follow the radius, see ballMass()
+      restitution: props.restitution ?? 1,
+      exitPolicy: props.exitPolicy ?? null, // null = use state.exitPolicy
+      escaped: false, // flying away after leaving through a gap
       alive: true,
       data: Object.create(null)
     };
     
     state.balls.push(b);
-    $('#ballCount').textContent = String(state.balls.length);
+    emitSimulationEvent('spawn', b);
     
     if (state.program?.onSpawn) {
       try {
@@ -660,6 +815,9 @@ function duplicateBall(ball) {
   nb.vx = Math.cos(finalAngle) * originalSpeed;
   nb.vy = Math.sin(finalAngle) * originalSpeed;
   nb.color = ball.color;
+  nb.mass = ball.mass;
+  nb.restitution = ball.restitution;
+  nb.exitPolicy = ball.exitPolicy;
   
   return nb;
 }
@@ -668,9 +826,109 @@ function destroyBall(ball) {
   ball.alive = false;
 }
 
+// Radius of a ball whose derived mass is exactly 1
+const UNIT_MASS_RADIUS = 15;
+
+/**
+ * Explicit mass if one was set, otherwise proportional to area
+ * (a default 15px ball weighs 1)
+ */
+function ballMass(ball) {
+  if (ball.mass > 0) return ball.mass;
+  const k = ball.r / UNIT_MASS_RADIUS;
+  return Math.max(1e-6, k * k);
+}
+
+/**
+ * Break every breakable ring the ball is escaping through and notify the program
+ */
+function breakEscapedRings(ball) {
+  for (const index of window.findEscapedRings(arena, ball)) {
+    arena.rings[index].broken = true;
+    
+    if (state.program?.onRingBreak) {
+      try {
+        state.program.onRingBreak(ballProxy(ball), index + 1); // 1-based like Blockly lists
+      } catch (e) {
+        console.warn(e);
+      }
+    }
+    
+    emitSimulationEvent('ringBreak', ball);
+  }
+}
+
+// ============================================================================
+// GAP EXIT POLICIES
+// ============================================================================
+
+const EXIT_POLICIES = ['destroy', 'center', 'random', 'wrap', 'flyAway'];
+
+/**
+ * A ball slipped out through a gap: notify the program, then apply the
+ * ball's own exit policy or the global one
+ */
+function handleGapExit(ball, contact) {
+  emitSimulationEvent('exit', ball);
+  
+  if (state.program?.onExit) {
+    try {
+      state.program.onExit(ballProxy(ball));
+    } catch (e) {
+      console.warn(e);
+    }
+  }
+  
+  // The exit rule may already have destroyed or moved the ball
+  if (!ball.alive) return;
+  
+  const policy = ball.exitPolicy ?? state.exitPolicy;
+  
+  switch (policy) {
+    case 'destroy':
+      destroyBall(ball);
+      break;
+      
+    case 'random': {
+      const angle = window.rng() * Math.PI * 2;
+      const rad = Math.sqrt(window.rng()) * (window.arenaBoundaryDistance(arena, angle) * 0.85);
+      ball.x = arena.cx + Math.cos(angle) * rad;
+      ball.y = arena.cy + Math.sin(angle) * rad;
+      break;
+    }
+      
+    case 'wrap': {
+      // Re-enter on the opposite side, keeping velocity so it heads inward
+      const angle = contact.angle + Math.PI;
+      const rad = Math.max(0, window.arenaBoundaryDistance(arena, angle) - ball.r * 1.5);
+      ball.x = arena.cx + Math.cos(angle) * rad;
+      ball.y = arena.cy + Math.sin(angle) * rad;
+      break;
+    }
+      
+    case 'flyAway':
+      // Skips walls and collisions from now on, removed once off-canvas
+      ball.escaped = true;
+      break;
+      
+    default: // 'center'
+      ball.x = arena.cx;
+      ball.y = arena.cy;
+  }
+}
+
+/**
+ * Whether an escaped ball has fully left the canvas (the arena sits in its middle)
+ */
+function isOutsideViewport(ball) {
+  const w = arena.cx * 2;
+  const h = arena.cy * 2;
+  return ball.x + ball.r < 0 || ball.x - ball.r > w || ball.y + ball.r < 0 || ball.y - ball.r > h;
+}
+
 // Ball proxy for safe access from user code
 function ballProxy(b) {
-  return {
+  const proxy = {
     get id() { return b.id; },
     get x() { return b.x; },
     set x(v) { b.x = v; },
@@ -684,6 +942,12 @@ function ballProxy(b) {
     set r(v) { b.r = Math.max(1, v); },
     get color() { return b.color; },
     set color(v) { b.color = String(v); },
+    get mass() { return ballMass(b); },
+    set mass(v) { b.mass = Number(v) > 0 ? Number(v) : null; },
+    get restitution() { return b.restitution ?? 1; },
+    set restitution(v) { b.restitution = Math.max(0, Number(v) || 0); },
+    get exitPolicy() { return b.exitPolicy ?? state.exitPolicy; },
+    set exitPolicy(v) { b.exitPolicy = EXIT_POLICIES.includes(v) ? v : null; },
     get data() { return b.data; },
     destroy() { destroyBall(b); },
     duplicate() { return duplicateBall(b); },
@@ -698,153 +962,241 @@ function ballProxy(b) {
       }
     }
   };
+  proxyRefs.set(proxy, { ballRef: b.id });
+  return proxy;
+}
+
+// Obstacle proxy for event handlers: read-only geometry, recolorable
+function obstacleProxy(o) {
+  const proxy = {
+    get id() { return o.id; },
+    get type() { return o.type; },
+    get x() { return o.x; },
+    get y() { return o.y; },
+    get r() { return o.r; },
+    get color() { return o.color; },
+    set color(v) { o.color = String(v); }
+  };
+  proxyRefs.set(proxy, { obstacleRef: o.id });
+  return proxy;
 }
 
 // ============================================================================
 // COLLISION DETECTION (Enhanced for Property Changes)
 // ============================================================================
 
-function handleCollisions() {
-  const n = state.balls.length;
-  const processedPairs = new Set(); // Track which pairs we've already processed this frame
+/**
+ * Share of a pair's separation each ball takes: heavier balls move less
+ */
+function separationShares(a, b) {
+  const ma = ballMass(a);
+  const mb = ballMass(b);
+  return { aShare: mb / (ma + mb), bShare: ma / (ma + mb) };
+}
+
+/**
+ * Narrowphase: resolve one ball pair if the two balls overlap right now.
+ * Returns true when the pair actually collided.
+ */
+function resolveBallPair(a, b) {
+  if (a.escaped || b.escaped) return false; // flying away, no longer in the arena
   
-  for (let i = 0; i < n; i++) {
-    const a = state.balls[i];
-    if (!a.alive) continue;
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const dist = Math.hypot(dx, dy);
+  const minD = a.r + b.r;
+  
+  if (!(dist < minD && dist > 1e-4)) return false;
+  
+  // PHASE 1: Apply physics collision resolution
+  const nx = dx / dist;
+  const ny = dy / dist;
+  const overlap = minD - dist;
+  
+  // Separate balls by mass share
+  const { aShare, bShare } = separationShares(a, b);
+  
+  a.x -= nx * overlap * aShare;  // Heavier balls move less
+  a.y -= ny * overlap * aShare;
+  b.x += nx * overlap * bShare;
+  b.y += ny * overlap * bShare;
+  
+  // Velocity response is up to the engine
+  const impact = Math.abs((a.vx - b.vx) * nx + (a.vy - b.vy) * ny);
+  const engine = getCurrentEngine();
+  engine.resolvePair(a, b, { nx, ny, overlap }, physicsConfig[engine.name]);
+  emitSimulationEvent('collision', a, impact);
+  
+  // Store original radii for comparison
+  const originalARadius = a.r;
+  const originalBRadius = b.r;
+  
+  // PHASE 2: Run user collision event (may change ball properties)
+  if (state.program?.onBallCollision) {
+    try {
+      state.program.onBallCollision(ballProxy(a), ballProxy(b));
+    } catch (e) {
+      console.warn(e);
+    }
+  }
+  
+  // PHASE 3: Handle any radius changes with additional separation
+  if (a.r !== originalARadius || b.r !== originalBRadius) {
+    const newDx = b.x - a.x;
+    const newDy = b.y - a.y;
+    const newDist = Math.hypot(newDx, newDy);
+    const newMinD = a.r + b.r;
     
-    for (let j = i + 1; j < n; j++) {
-      const b = state.balls[j];
-      if (!b.alive) continue;
+    if (newDist < newMinD && newDist > 1e-4) {
+      // Balls are still overlapping after radius change - apply additional separation
+      const newNx = newDx / newDist;
+      const newNy = newDy / newDist;
+      const additionalOverlap = newMinD - newDist;
       
-      const pairId = `${Math.min(a.id, b.id)}-${Math.max(a.id, b.id)}`;
-      if (processedPairs.has(pairId)) continue;
+      // Calculate separation based on the (possibly radius-derived) new masses
+      const newShares = separationShares(a, b);
+      const newBRatio = newShares.aShare;
+      const newARatio = newShares.bShare;
       
-      const dx = b.x - a.x;
-      const dy = b.y - a.y;
-      const dist = Math.hypot(dx, dy);
-      const minD = a.r + b.r;
+      // Apply additional separation
+      a.x -= newNx * additionalOverlap * newBRatio;
+      a.y -= newNy * additionalOverlap * newBRatio;
+      b.x += newNx * additionalOverlap * newARatio;
+      b.y += newNy * additionalOverlap * newARatio;
       
-      if (dist < minD && dist > 1e-4) {
-        processedPairs.add(pairId);
-        
-        // PHASE 1: Apply physics collision resolution
-        const nx = dx / dist;
-        const ny = dy / dist;
-        const overlap = minD - dist;
-        
-        // Separate balls based on current radii
-        const totalR = a.r + b.r;
-        const aRatio = a.r / totalR;
-        const bRatio = b.r / totalR;
-        
-        a.x -= nx * overlap * bRatio;  // Larger balls move less
-        a.y -= ny * overlap * bRatio;
-        b.x += nx * overlap * aRatio;
-        b.y += ny * overlap * aRatio;
-        
-        // Apply momentum transfer ONLY if not in arcadeSimple mode
-        if (state.physicsEngine !== 'arcadeSimple') {
-          const va = a.vx * nx + a.vy * ny;
-          const vb = b.vx * nx + b.vy * ny;
-          const dv = vb - va;
-          
-          a.vx += dv * nx;
-          a.vy += dv * ny;
-          b.vx -= dv * nx;
-          b.vy -= dv * ny;
-          
-          // Apply physics engine-specific collision response
-          if (state.physicsEngine === 'realistic') {
-            const elasticity = physicsConfig.realistic.elasticity;
-            a.vx *= elasticity;
-            a.vy *= elasticity;
-            b.vx *= elasticity;
-            b.vy *= elasticity;
-          }
-        } else {
-          // Arcade Simple: Reflect velocities but preserve original speeds
-          const originalSpeedA = Math.hypot(a.vx, a.vy);
-          const originalSpeedB = Math.hypot(b.vx, b.vy);
-          
-          // Reflect velocity components along collision normal
-          const vaNormal = a.vx * nx + a.vy * ny;
-          const vbNormal = b.vx * nx + b.vy * ny;
-          
-          // Apply reflection (bounce off each other)
-          a.vx = a.vx - 2 * vaNormal * nx;
-          a.vy = a.vy - 2 * vaNormal * ny;
-          b.vx = b.vx - 2 * vbNormal * nx;
-          b.vy = b.vy - 2 * vbNormal * ny;
-          
-          // Restore original speeds (preserve energy per ball)
-          const newSpeedA = Math.hypot(a.vx, a.vy);
-          const newSpeedB = Math.hypot(b.vx, b.vy);
-          
-          if (newSpeedA > 0) {
-            const scaleA = originalSpeedA / newSpeedA;
-            a.vx *= scaleA;
-            a.vy *= scaleA;
-          }
-          
-          if (newSpeedB > 0) {
-            const scaleB = originalSpeedB / newSpeedB;
-            b.vx *= scaleB;
-            b.vy *= scaleB;
-          }
-          
-          console.log(`Arcade Simple collision: preserved speeds ${originalSpeedA.toFixed(1)}, ${originalSpeedB.toFixed(1)}`);
-        }
-        
-        // Store original radii for comparison
-        const originalARadius = a.r;
-        const originalBRadius = b.r;
-        
-        // PHASE 2: Run user collision event (may change ball properties)
-        if (state.program?.onBallCollision) {
-          try {
-            state.program.onBallCollision(ballProxy(a), ballProxy(b));
-          } catch (e) {
-            console.warn(e);
-          }
-        }
-        
-        // PHASE 3: Handle any radius changes with additional separation
-        if (a.r !== originalARadius || b.r !== originalBRadius) {
-          const newDx = b.x - a.x;
-          const newDy = b.y - a.y;
-          const newDist = Math.hypot(newDx, newDy);
-          const newMinD = a.r + b.r;
-          
-          if (newDist < newMinD && newDist > 1e-4) {
-            // Balls are still overlapping after radius change - apply additional separation
-            const newNx = newDx / newDist;
-            const newNy = newDy / newDist;
-            const additionalOverlap = newMinD - newDist;
-            
-            // Calculate separation based on new radii
-            const newTotalR = a.r + b.r;
-            const newARatio = a.r / newTotalR;
-            const newBRatio = b.r / newTotalR;
-            
-            // Apply additional separation
-            a.x -= newNx * additionalOverlap * newBRatio;
-            a.y -= newNy * additionalOverlap * newBRatio;
-            b.x += newNx * additionalOverlap * newARatio;
-            b.y += newNy * additionalOverlap * newARatio;
-            
-            // Apply slight velocity adjustment to prevent re-collision
-            // This gives balls a small push away from each other
-            const separationVelocity = state.physicsEngine === 'arcadeSimple' ? 10 : 20; // Smaller push for simple mode
-            a.vx -= newNx * separationVelocity * newBRatio;
-            a.vy -= newNy * separationVelocity * newBRatio;
-            b.vx += newNx * separationVelocity * newARatio;
-            b.vy += newNy * separationVelocity * newARatio;
-            
-            console.log(`Handled radius change collision: ${originalARadius},${originalBRadius} → ${a.r},${b.r}`);
-          }
+      // Apply slight velocity adjustment to prevent re-collision
+      // This gives balls a small push away from each other
+      const separationVelocity = engine.pairSeparationSpeed ?? 20;
+      a.vx -= newNx * separationVelocity * newBRatio;
+      a.vy -= newNy * separationVelocity * newBRatio;
+      b.vx += newNx * separationVelocity * newARatio;
+      b.vy += newNy * separationVelocity * newARatio;
+      
+      console.log(`Handled radius change collision: ${originalARadius},${originalBRadius} → ${a.r},${b.r}`);
+    }
+  }
+  
+  return true;
+}
+
+// ============================================================================
+// BROADPHASE (Uniform Grid / Spatial Hash)
+// ============================================================================
+
+// Below this many balls the plain double loop is cheaper than building a grid
+const BROADPHASE_MIN_BALLS = 24;
+
+/**
+ * Bucket ball indices into a uniform grid and list every pair that shares a
+ * cell neighbourhood. Cells are one ball radius wider than the largest contact
+ * distance; `slack` is how far a ball may drift during the pass before the
+ * candidate list can no longer be trusted.
+ */
+function buildCandidatePairs(balls, n) {
+  let maxR = 0;
+  for (let i = 0; i < n; i++) {
+    if (balls[i].alive && balls[i].r > maxR) maxR = balls[i].r;
+  }
+  
+  const slack = Math.max(maxR, 1);
+  const cellSize = 2 * maxR + slack;
+  const cells = new Map();
+  const cellX = new Int32Array(n);
+  const cellY = new Int32Array(n);
+  const cellKey = (cx, cy) => (cx + 32768) * 65536 + (cy + 32768);
+  
+  for (let i = 0; i < n; i++) {
+    if (!balls[i].alive) continue;
+    const cx = Math.floor(balls[i].x / cellSize);
+    const cy = Math.floor(balls[i].y / cellSize);
+    cellX[i] = cx;
+    cellY[i] = cy;
+    
+    const key = cellKey(cx, cy);
+    const bucket = cells.get(key);
+    if (bucket) bucket.push(i);
+    else cells.set(key, [i]);
+  }
+  
+  // Pairs come out sorted by (i, j), the exact order the double loop visits them
+  const pairs = [];
+  const neighbours = [];
+  for (let i = 0; i < n; i++) {
+    if (!balls[i].alive) continue;
+    neighbours.length = 0;
+    
+    for (let ox = -1; ox <= 1; ox++) {
+      for (let oy = -1; oy <= 1; oy++) {
+        const bucket = cells.get(cellKey(cellX[i] + ox, cellY[i] + oy));
+        if (!bucket) continue;
+        for (const j of bucket) {
+          if (j > i) neighbours.push(j);
         }
       }
     }
+    
+    neighbours.sort((p, q) => p - q);
+    for (const j of neighbours) pairs.push(i, j);
+  }
+  
+  return { pairs, maxR, slack };
+}
+
+/**
+ * Plain O(n²) pass over every pair after (startI, startJ), in loop order
+ */
+function resolvePairsBruteForce(balls, n, startI = 0, startJ = 1) {
+  for (let i = startI; i < n; i++) {
+    const a = balls[i];
+    if (!a.alive) continue;
+    
+    for (let j = i === startI ? startJ : i + 1; j < n; j++) {
+      const b = balls[j];
+      if (!b.alive) continue;
+      resolveBallPair(a, b);
+    }
+  }
+}
+
+function handleCollisions() {
+  const balls = state.balls;
+  const n = balls.length; // balls spawned by collision rules wait for the next tick
+  
+  if (n < BROADPHASE_MIN_BALLS) {
+    resolvePairsBruteForce(balls, n);
+    return;
+  }
+  
+  const { pairs, maxR, slack } = buildCandidatePairs(balls, n);
+  const startX = new Float64Array(n);
+  const startY = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    startX[i] = balls[i].x;
+    startY[i] = balls[i].y;
+  }
+  
+  const maxDrift = slack / 2;
+  const drifted = (i) => (
+    Math.abs(balls[i].x - startX[i]) > maxDrift ||
+    Math.abs(balls[i].y - startY[i]) > maxDrift ||
+    balls[i].r > maxR
+  );
+  
+  for (let k = 0; k < pairs.length; k += 2) {
+    const i = pairs[k];
+    const j = pairs[k + 1];
+    const a = balls[i];
+    const b = balls[j];
+    if (!a.alive || !b.alive) continue;
+    
+    if (!resolveBallPair(a, b)) continue;
+    
+    // Separation pushes or rule code moved/grew a ball past what the grid
+    // allowed for, so finish the pass with the double loop to stay exact
+    if (drifted(i) || drifted(j)) {
+      resolvePairsBruteForce(balls, n, i, j + 1);
+      return;
+    }
   }
 }
 
@@ -852,9 +1204,39 @@ function handleCollisions() {
 // MAIN PHYSICS TICK
 // ============================================================================
 
+// Furthest a ball may travel per sub-step, as a fraction of the smallest radius
+const SUBSTEP_TRAVEL_FRACTION = 0.5;
+
+/**
+ * How many sub-steps this tick needs so that no ball moves further than a
+ * fraction of the smallest radius per step. Fast balls (speed-up rule chains)
+ * would otherwise tunnel through each other or overshoot the wall.
+ */
+function computeSubsteps(config, dt) {
+  if (!config || config.substeps !== 'adaptive') return 1;
+  
+  let maxTravel = 0;
+  let minR = Infinity;
+  for (const b of state.balls) {
+    if (!b.alive) continue;
+    const travel = Math.hypot(b.vx, b.vy) * dt;
+    if (travel > maxTravel) maxTravel = travel;
+    if (b.r < minR) minR = b.r;
+  }
+  
+  if (maxTravel === 0) return 1;
+  
+  const needed = Math.ceil(maxTravel / (Math.max(minR, 1) * SUBSTEP_TRAVEL_FRACTION));
+  return Math.max(1, Math.min(Math.max(1, config.maxSubsteps | 0), needed));
+}
+
 function tick(dt) {
+  const scoreBefore = state.score;
   state.t += dt;
   
+  // Animated arena parameters follow simulation time, never wall-clock time
+  window.updateArenaMotion(arena, state.t);
+  
   if (state.program?.onTick) {
     try {
       state.program.onTick(dt);
@@ -864,35 +1246,56 @@ function tick(dt) {
   }
   
   const engine = getCurrentEngine();
+  const ringsActive = arena.shape === 'rings';
+  const obstaclesActive = arena.obstacles.length > 0;
+  const fieldsActive = state.forceFields.length > 0;
   
-  for (const b of state.balls) {
-    if (!b.alive) continue;
-    
-    // Update ball physics using current engine
-    engine.updateBall(b, dt);
+  if (ringsActive) window.updateArenaRings(arena, dt);
+  
+  const config = physicsConfig[engine.name];
+  const substeps = computeSubsteps(config, dt);
+  const h = dt / substeps;
+  
+  for (let step = 0; step < substeps; step++) {
+    for (const b of state.balls) {
+      if (!b.alive) continue;
+      
+      if (fieldsActive) applyForceFields(b, h);
+      
+      // Update ball physics using current engine
+      engine.updateBall(b, h, config);
+      
+      // Balls flying away ignore the arena until they leave the canvas
+      if (b.escaped) {
+        if (isOutsideViewport(b)) destroyBall(b);
+        continue;
+      }
+      
+      // Rings break as soon as a ball slips out through their gap
+      if (ringsActive) breakEscapedRings(b);
+      
+      // Handle wall collisions using current engine
+      collideWalls(b, engine, config);
+      
+      if (obstaclesActive && b.alive && !b.escaped) collideObstacles(b, engine, config);
+    }
     
-    // Handle wall collisions using current engine
-    engine.reflectWall(b);
+    if (state.doCollide) handleCollisions();
   }
   
-  if (state.doCollide) handleCollisions();
-  
   if (state.balls.some(b => !b.alive)) {
     state.balls = state.balls.filter(b => b.alive);
-    $('#ballCount').textContent = String(state.balls.length);
   }
+  
+  if (state.score !== scoreBefore) emitSimulationEvent('score');
 }
 
 // Reset simulation
 function reset() {
   state.running = false;
-  state.balls = [];
-  state.nextId = 1;
-  state.t = 0;
   state.accumulator = 0;
   state.lastMs = null;
-  state.score = 0;
-  $('#ballCount').textContent = '0';
+  resetSimulation();
   
   // Clear frame stepping history
   clearSimulationHistory();
@@ -905,6 +1308,24 @@ function reset() {
   }
 }
 
+/**
+ * Back to t = 0 with no balls. Leaves history and the run loop alone, so
+ * seed trials (seeds.js) can use it.
+ */
+function resetSimulation() {
+  state.balls = [];
+  state.nextId = 1;
+  state.t = 0;
+  state.score = 0;
+  state.music = { step: 0 };
+  
+  // Rebuild broken rings and rewind gaps/radius to their t = 0 values
+  window.resetArenaRings(arena);
+  window.resetObstacles(arena);
+  state.forceFields = window.cloneForceFields(arena.forceFields);
+  window.updateArenaMotion(arena, 0);
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -912,19 +1333,32 @@ function reset() {
 window.state = state;
 window.arena = arena;
 window.physicsConfig = physicsConfig;
+window.registerPhysicsEngine = registerPhysicsEngine;
+window.getPhysicsEngine = getPhysicsEngine;
+window.getPhysicsEngines = getPhysicsEngines;
 window.setPhysicsEngine = setPhysicsEngine;
 window.spawnBall = spawnBall;
 window.duplicateBall = duplicateBall;
 window.destroyBall = destroyBall;
 window.ballProxy = ballProxy;
+window.ballMass = ballMass;
+window.obstacleProxy = obstacleProxy;
+window.EXIT_POLICIES = EXIT_POLICIES;
 window.tick = tick;
+window.handleCollisions = handleCollisions;
+window.resolvePairsBruteForce = resolvePairsBruteForce;
+window.BROADPHASE_MIN_BALLS = BROADPHASE_MIN_BALLS;
 window.reset = reset;
+window.resetSimulation = resetSimulation;
 window.pingSfx = pingSfx;
+window.setSoundOutput = setSoundOutput;
+window.setRecordingStopHandler = setRecordingStopHandler;
+window.requestRecordingStop = requestRecordingStop;
+window.onSimulationEvent = onSimulationEvent;
+window.emitSimulationEvent = emitSimulationEvent;
 
 // Export state snapshot functions
-window.saveSimulationState = saveSimulationState;
-window.restoreSimulationState = restoreSimulationState;
-window.clearSimulationHistory = clearSimulationHistory;
 window.createStateSnapshot = createStateSnapshot;
 window.restoreStateSnapshot = restoreStateSnapshot;
-window.getHistoryStats = getHistoryStats; 
\ No newline at end of file
+window.simulationFingerprint = simulationFingerprint;
+window.packBallPositions = packBallPositions;
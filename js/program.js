@@ -0,0 +1,79 @@
+/**
+ * Rule Program API for Bouncing Balls Editor
+ * Turns generated program code into the event handlers the simulation calls,
+ * and gives that code its `api` object. No Blockly needed here: blocks.js
+ * generates the code, replays and the Node CLI bring it along in their files.
+ */
+
+// ============================================================================
+// COMPILATION
+// ============================================================================
+
+// Generated code of each compiled program, for replay files
+const programSources = new WeakMap();
+
+/**
+ * Build the event handlers from generated program code. Throws when the code
+ * doesn't compile (or the page's CSP forbids compiling it).
+ */
+function compileProgramCode(code) {
+  const handlers = {};
+  
+  // Fresh variable store per compile, like the closure variables it replaces
+  window.state.vars = {};
+  
+  const api = {
+    get vars() { return window.state.vars; },
+    register(name, fn) { handlers[name] = fn; },
+    spawn(n, props) {
+      for (let i = 0; i < n; i++) window.spawnBall(props || {});
+    },
+    dup(ball) { window.duplicateBall(resolveBall(ball)); },
+    kill(ball) { window.destroyBall(resolveBall(ball)); },
+    log(...a) { if (!window.state.replaying) console.log('[RULE]', ...a); },
+    score(d) { window.state.score += (d || 1); },
+    stopRecording() { window.requestRecordingStop(); },
+    field(name, props) { window.upsertForceField(window.state.forceFields, String(name), props); },
+    moveField(name, x, y) {
+      const f = window.findForceField(window.state.forceFields, String(name));
+      if (f) { f.x = Number(x) || 0; f.y = Number(y) || 0; }
+    },
+    setField(name, k, v) {
+      const f = window.findForceField(window.state.forceFields, String(name));
+      if (!f) return;
+      f[k] = k === 'angle' ? ((Number(v) || 0) * Math.PI) / 180 : Number(v) || 0;
+    },
+    removeField(name) { window.removeForceField(window.state.forceFields, String(name)); },
+    music(name, value) { window.setMusicSetting(String(name), value); },
+    note(midi, volume, dur) { window.playRuleNote(midi, volume, dur); },
+    nextNote() { window.playNextNote(); },
+    sound(name, pitch, volume) { window.playSoundSample(name, pitch, volume); },
+    lastNote(name) { return window.lastNoteValue(String(name)); }
+  };
+  
+  function resolveBall(bp) {
+    return window.state.balls.find(b => b.id === bp.id) || null;
+  }
+  
+  try {
+    const fn = new Function('api', 'utils', 'rng', code + "\nreturn true;");
+    fn(api, window.utils, window.rng);
+  } catch (err) {
+    console.error('Program compile error:', err);
+    throw err;
+  }
+  
+  programSources.set(handlers, code);
+  return handlers;
+}
+
+function getProgramSource(program) {
+  return program ? programSources.get(program) ?? null : null;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.compileProgramCode = compileProgramCode;
+window.getProgramSource = getProgramSource;
@@ -0,0 +1,184 @@
+/**
+ * Project Files for Bouncing Balls Editor
+ * A project is the block program plus everything placed in the scene that
+ * the blocks don't describe (obstacles, force fields, arena, physics, ...).
+ * Plain block XML files from older saves still load.
+ */
+
+// ============================================================================
+// PROJECT SECTIONS
+// ============================================================================
+
+const PROJECT_FORMAT = 'bouncing-balls-project';
+const PROJECT_VERSION = 1;
+
+/**
+ * Each section is stored under its own key:
+ *   save() -> JSON-safe data
+ *   load(data)   applies it; only called when the key is present in the file
+ *   simulation   false for sections the simulation doesn't depend on (sound
+ *                samples), which worker copies leave out
+ *   fingerprint() optional, a cheaper stand-in for save() when only checking
+ *                whether the section changed
+ */
+const ProjectSections = {};
+
+function registerProjectSection(name, section) {
+  ProjectSections[name] = section;
+}
+
+registerProjectSection('obstacles', {
+  save() {
+    return window.serializeObstacles(window.arena.obstacles);
+  },
+  load(data) {
+    window.setArenaObstacles(window.arena, Array.isArray(data) ? data : []);
+  }
+});
+
+registerProjectSection('forceFields', {
+  save() {
+    return window.cloneForceFields(window.arena.forceFields);
+  },
+  load(data) {
+    window.arena.forceFields = (Array.isArray(data) ? data : []).map(window.createForceField);
+    window.state.forceFields = window.cloneForceFields(window.arena.forceFields);
+  }
+});
+
+registerProjectSection('arena', {
+  save() {
+    return window.serializeArenaDesign(window.arena);
+  },
+  load(data) {
+    window.applyArenaDesign(window.arena, data || {});
+  }
+});
+
+registerProjectSection('physics', {
+  save() {
+    const { state, physicsConfig } = window;
+    return {
+      engine: state.physicsEngine,
+      config: { ...physicsConfig[state.physicsEngine] },
+      doCollide: state.doCollide,
+      exitPolicy: state.exitPolicy
+    };
+  },
+  load(data) {
+    const { state, physicsConfig } = window;
+    if (window.getPhysicsEngine(data.engine)) {
+      window.setPhysicsEngine(data.engine);
+      Object.assign(physicsConfig[data.engine], data.config);
+    }
+    if (typeof data.doCollide === 'boolean') state.doCollide = data.doCollide;
+    if (window.EXIT_POLICIES.includes(data.exitPolicy)) state.exitPolicy = data.exitPolicy;
+  }
+});
+
+registerProjectSection('music', {
+  save() {
+    return window.serializeMusicConfig();
+  },
+  fingerprint() {
+    return window.musicConfigFingerprint();
+  },
+  load(data) {
+    window.applyMusicSettings(window.musicConfig, data);
+  }
+});
+
+// ============================================================================
+// SAVE / LOAD
+// ============================================================================
+
+function createProjectData(workspace) {
+  const dom = window.BX.workspaceToDom(workspace);
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    blocks: dom ? window.BX.domToPrettyText(dom) : null,
+    program: workspaceProgramCode(workspace), // generated JS, for headless runs
+    ...saveProjectSections()
+  };
+}
+
+function workspaceProgramCode(workspace) {
+  try {
+    return window.generateProgramCode(workspace);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Scene sections only, without the blocks (also used by replay files).
+ * `simulationOnly` leaves out the sections a simulation copy can do without.
+ */
+function saveProjectSections(simulationOnly = false) {
+  const data = {};
+  for (const [name, section] of Object.entries(ProjectSections)) {
+    if (simulationOnly && section.simulation === false) continue;
+    data[name] = section.save();
+  }
+  return data;
+}
+
+/**
+ * Summary of the simulation sections that changes whenever their saved data
+ * does, for noticing scene edits without saving everything (workermode.js)
+ */
+function projectSectionsFingerprint() {
+  const parts = [];
+  for (const section of Object.values(ProjectSections)) {
+    if (section.simulation === false) continue;
+    parts.push(section.fingerprint ? section.fingerprint() : section.save());
+  }
+  return JSON.stringify(parts);
+}
+
+function loadProjectSections(data) {
+  for (const [name, section] of Object.entries(ProjectSections)) {
+    if (name in data) section.load(data[name]);
+  }
+}
+
+/**
+ * Parse a saved file: project JSON, or a bare blocks XML file from older saves
+ */
+function parseProjectText(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith('<')) {
+    return { format: PROJECT_FORMAT, version: 0, blocks: trimmed };
+  }
+
+  const data = JSON.parse(trimmed);
+  if (!data || data.format !== PROJECT_FORMAT) {
+    throw new Error('Not a project file');
+  }
+  return data;
+}
+
+function applyProjectData(data, workspace) {
+  if (data.blocks) {
+    const dom = window.BX.textToDom(data.blocks);
+    workspace.clear();
+    window.BX.domToWorkspace(dom, workspace);
+  }
+
+  loadProjectSections(data);
+
+  console.log(`Project loaded (version ${data.version})`);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.registerProjectSection = registerProjectSection;
+window.createProjectData = createProjectData;
+window.parseProjectText = parseProjectText;
+window.applyProjectData = applyProjectData;
+window.saveProjectSections = saveProjectSections;
+window.projectSectionsFingerprint = projectSectionsFingerprint;
+window.loadProjectSections = loadProjectSections;
@@ -0,0 +1,161 @@
+/**
+ * Replay Files for Bouncing Balls Editor
+ * A replay holds what it takes to re-run the current history branch exactly:
+ * the scene, engine settings, the compiled rule programs and the keyframes
+ * where the run started or was edited by hand. Everything in between is
+ * re-simulated on load, so the file stays small however long the run was.
+ */
+
+// ============================================================================
+// FORMAT
+// ============================================================================
+
+const REPLAY_FORMAT = 'bouncing-balls-replay';
+const REPLAY_VERSION = 1;
+
+/**
+ * Snapshot as stored in a file: programs become indexes into the file's
+ * program list, history bookkeeping is dropped
+ */
+function serializeReplayKeyframe(snapshot, programIndex) {
+  const { program, bytes, fingerprint, timestamp, arenaDesign, ...data } = snapshot;
+  return { ...data, program: programIndex(program) };
+}
+
+function createReplayData(options = {}) {
+  const lineage = window.getReplayKeyframes();
+  if (!lineage) throw new Error('Nothing recorded yet');
+
+  // Each distinct program once, by its generated code
+  const programs = [];
+  const programIds = new Map();
+  const programIndex = program => {
+    if (!program) return null;
+    if (!programIds.has(program)) {
+      programIds.set(program, programs.length);
+      programs.push(window.getProgramSource(program));
+    }
+    return programIds.get(program);
+  };
+
+  const physicsConfig = {};
+  for (const [name, config] of Object.entries(window.physicsConfig)) {
+    physicsConfig[name] = { ...config };
+  }
+
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    createdAt: new Date().toISOString(),
+    seed: options.seed ?? null, // informational, the keyframes carry the RNG state
+    dt: window.state.dt,
+    frameRange: { start: lineage.start, end: lineage.end },
+    arena: lineage.keyframes[0].arenaDesign, // as the run started, not as it is now
+    scene: window.saveProjectSections(),
+    physicsConfig,
+    keyframes: lineage.keyframes.map(k => serializeReplayKeyframe(k, programIndex)),
+    programs
+  };
+}
+
+/**
+ * Parse and check a replay file. Everything runReplay() relies on is
+ * checked here, so a bad file is rejected before the scene is touched.
+ */
+function parseReplayText(text) {
+  const data = JSON.parse(text);
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error('Not a replay file');
+  }
+  if (data.version > REPLAY_VERSION) {
+    throw new Error(`Replay version ${data.version} is newer than this editor supports`);
+  }
+  if (!Array.isArray(data.keyframes) || !data.keyframes.length) {
+    throw new Error('Replay has no keyframes');
+  }
+
+  const range = data.frameRange;
+  if (!range || !Number.isInteger(range.start) || !Number.isInteger(range.end) ||
+      range.start < 0 || range.end < range.start) {
+    throw new Error('Replay has no valid frame range');
+  }
+
+  const programs = data.programs ?? [];
+  if (!Array.isArray(programs) || programs.some(code => code !== null && typeof code !== 'string')) {
+    throw new Error('Replay programs are not code');
+  }
+
+  for (const keyframe of data.keyframes) {
+    if (!keyframe || !Number.isInteger(keyframe.frameNumber) || !Array.isArray(keyframe.balls)) {
+      throw new Error('Replay has a broken keyframe');
+    }
+    if (keyframe.program != null && !(Number.isInteger(keyframe.program) && keyframe.program in programs)) {
+      throw new Error(`Keyframe ${keyframe.frameNumber} uses a program the replay doesn't have`);
+    }
+  }
+  if (!data.keyframes.some(k => k.frameNumber === range.start)) {
+    throw new Error(`Replay has no keyframe for its first frame ${range.start}`);
+  }
+  if (data.dt !== undefined && !(data.dt > 0)) {
+    throw new Error('Replay has an invalid time step');
+  }
+  return data;
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+// A keyframe that doesn't restore would leave the run on the wrong state
+function applyReplayKeyframe(edits, frameNumber) {
+  if (window.applyHistoryKeyframe(edits.get(frameNumber)) === false) {
+    throw new Error(`Replay keyframe at frame ${frameNumber} could not be restored`);
+  }
+}
+
+/**
+ * Rebuild the scene from a replay and re-run it into a fresh history.
+ * Returns the frame range; the simulation is left on the last frame.
+ */
+function runReplay(data) {
+  const { state, physicsConfig } = window;
+
+  // Compile first: a program that doesn't compile leaves the scene alone
+  const programs = (data.programs || []).map(code => (code == null ? null : window.compileProgramCode(code)));
+
+  // The scene's arena is the one at export time; the run started with data.arena
+  window.loadProjectSections(data.scene || {});
+  window.applyArenaDesign(window.arena, data.arena);
+  for (const [name, config] of Object.entries(data.physicsConfig || {})) {
+    if (physicsConfig[name]) Object.assign(physicsConfig[name], config);
+  }
+  if (data.dt) state.dt = data.dt;
+
+  const edits = new Map(data.keyframes.map(k => [k.frameNumber, { ...k, program: programs[k.program] ?? null }]));
+  const { start, end } = data.frameRange;
+
+  // Re-run like history re-simulates a segment: no sound, rule log output or
+  // recording stops. The frames and their events still go into the history.
+  window.clearSimulationHistory();
+  state.replaying = true;
+  try {
+    applyReplayKeyframe(edits, start);
+    for (let frame = start; frame < end; frame++) {
+      window.tickWithHistory(frame);
+      if (edits.has(frame + 1)) applyReplayKeyframe(edits, frame + 1);
+    }
+  } finally {
+    state.replaying = false;
+  }
+
+  console.log(`Replay loaded: frames ${start} to ${end}, ${edits.size} keyframe(s), ${programs.length} program(s)`);
+  return { start, end };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.createReplayData = createReplayData;
+window.parseReplayText = parseReplayText;
+window.runReplay = runReplay;
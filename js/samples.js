@@ -0,0 +1,212 @@
+/**
+ * Sound Samples for Bouncing Balls Editor
+ * Audio files (WAV, MP3, OGG) added to the project to play instead of the
+ * synthesized instrument: assigned to events in the Sound panel, or played
+ * by the "play sound" block. Files are kept as data URLs so they are saved
+ * inside the project file, and decoded once for sound.js, which plays them
+ * with each sample's pitch shift and random variation.
+ */
+
+// ============================================================================
+// SAMPLE LIBRARY
+// ============================================================================
+
+const SAMPLE_MAX_BYTES = 2 * 1024 * 1024; // per file, they all end up in the project
+const SAMPLE_NAME_LENGTH = 32;
+
+// name -> { name, data (data URL), pitch, variation (semitones), tuned, buffer }
+const soundSamples = new Map();
+const samplesUI = {};
+
+function getSoundSample(name) {
+  return soundSamples.get(name) || null;
+}
+
+function listSoundSamples() {
+  return [...soundSamples.keys()];
+}
+
+// A name made from the file name, not taken by another sample yet
+function uniqueSampleName(fileName) {
+  const base = String(fileName).replace(/\.[^.]*$/, '').replace(/[^\w -]+/g, '').trim().slice(0, SAMPLE_NAME_LENGTH) || 'sound';
+  let name = base;
+  for (let i = 2; soundSamples.has(name); i++) name = `${base} ${i}`;
+  return name;
+}
+
+/**
+ * Add (or replace) a sample and decode it. Resolves once it can play;
+ * rejects, leaving it out, when the browser can't decode the audio.
+ */
+async function addSoundSample(props) {
+  const sample = {
+    name: String(props.name),
+    data: String(props.data),
+    pitch: Math.max(-24, Math.min(24, Number(props.pitch) || 0)),
+    variation: Math.max(0, Math.min(12, Number(props.variation) || 0)),
+    tuned: !!props.tuned,
+    buffer: null
+  };
+  soundSamples.set(sample.name, sample);
+  renderSampleControls();
+
+  try {
+    sample.buffer = await decodeSampleData(sample.data);
+  } catch (err) {
+    if (soundSamples.get(sample.name) === sample) soundSamples.delete(sample.name);
+    renderSampleControls();
+    throw err;
+  }
+  return sample;
+}
+
+async function decodeSampleData(dataUrl) {
+  const bytes = await (await fetch(dataUrl)).arrayBuffer();
+  // An offline context decodes without waiting for the page to allow audio
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  return new OfflineContext(1, 1, 48000).decodeAudioData(bytes);
+}
+
+function removeSoundSample(name) {
+  soundSamples.delete(name);
+  renderSampleControls();
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+async function addSampleFiles(files) {
+  for (const file of files) {
+    if (file.size > SAMPLE_MAX_BYTES) {
+      window.showWarn(`${file.name} is larger than ${SAMPLE_MAX_BYTES / 1024 / 1024} MB; use a shorter clip.`);
+      continue;
+    }
+    try {
+      const sample = await addSoundSample({ name: uniqueSampleName(file.name), data: await readFileAsDataUrl(file) });
+      console.log(`Sound sample "${sample.name}" added (${sample.buffer.duration.toFixed(2)} s)`);
+    } catch (err) {
+      console.warn('Sample decode failed', err);
+      window.showWarn(`Could not decode ${file.name} as audio.`);
+    }
+  }
+}
+
+// Samples are saved with the project, but worker copies of the simulation never need them
+window.registerProjectSection('samples', {
+  simulation: false,
+  save() {
+    return [...soundSamples.values()].map(({ name, data, pitch, variation, tuned }) => ({ name, data, pitch, variation, tuned }));
+  },
+  load(data) {
+    soundSamples.clear();
+    for (const props of Array.isArray(data) ? data : []) {
+      if (!props || !props.name || !props.data) continue;
+      addSoundSample(props).catch(err => console.warn(`Sample "${props.name}" could not be decoded`, err));
+    }
+    renderSampleControls();
+  }
+});
+
+// ============================================================================
+// CONTROLS
+// ============================================================================
+
+// Sample list plus one sample picker per event; called whenever either changes
+function renderSampleControls() {
+  const { ui } = samplesUI;
+  if (!ui) return;
+
+  ui.list.innerHTML = '';
+  for (const sample of soundSamples.values()) {
+    const row = document.createElement('div');
+    row.className = 'sample-row';
+    row.innerHTML = `
+      <span class="sample-name"></span>
+      <input type="number" data-field="pitch" min="-24" max="24" step="1" title="Pitch shift (semitones)">
+      <input type="number" data-field="variation" min="0" max="12" step="0.5" title="Random pitch variation (± semitones)">
+      <input type="checkbox" data-field="tuned" title="Follow the notes of the scale, chords or melody">
+      <button data-field="play" title="Listen">▶</button>
+      <button data-field="remove" title="Remove from the project">✕</button>`;
+    const label = row.querySelector('.sample-name');
+    label.textContent = sample.buffer ? sample.name : `${sample.name} (loading)`;
+    label.title = sample.name;
+    row.querySelector('[data-field="pitch"]').value = sample.pitch;
+    row.querySelector('[data-field="variation"]').value = sample.variation;
+    row.querySelector('[data-field="tuned"]').checked = sample.tuned;
+
+    row.addEventListener('change', (e) => {
+      const k = e.target.dataset.field;
+      if (k === 'pitch') sample.pitch = Math.max(-24, Math.min(24, parseFloat(e.target.value) || 0));
+      if (k === 'variation') sample.variation = Math.max(0, Math.min(12, parseFloat(e.target.value) || 0));
+      if (k === 'tuned') sample.tuned = e.target.checked;
+    });
+    row.querySelector('[data-field="play"]').addEventListener('click', () => {
+      window.playNote({ sample: sample.name, freq: 261.63, velocity: 0.8, dur: 0.4, instrument: window.musicConfig.instrument });
+    });
+    row.querySelector('[data-field="remove"]').addEventListener('click', () => removeSoundSample(sample.name));
+    ui.list.appendChild(row);
+  }
+  ui.empty.style.display = soundSamples.size ? 'none' : 'block';
+
+  ui.events.innerHTML = '';
+  for (const [type, event] of Object.entries(window.MUSIC_EVENTS)) {
+    const current = window.musicConfig.eventSounds[type] || '';
+    const names = listSoundSamples();
+    if (current && !names.includes(current)) names.push(current); // keep it until its sample loads
+
+    const row = document.createElement('label');
+    const select = document.createElement('select');
+    select.dataset.sound = type;
+    select.innerHTML = '<option value="">instrument</option>';
+    for (const name of names) {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = soundSamples.has(name) ? name : `${name} (missing)`;
+      select.appendChild(opt);
+    }
+    select.value = current;
+    row.append(event.label, select);
+    ui.events.appendChild(row);
+  }
+}
+
+function initializeSamples() {
+  const list = document.getElementById('sampleList');
+  if (!list) return;
+  samplesUI.ui = {
+    list,
+    empty: document.getElementById('sampleListEmpty'),
+    events: document.getElementById('musicEventSounds')
+  };
+
+  document.getElementById('btnAddSamples').addEventListener('click', () => {
+    const inp = document.createElement('input');
+    inp.type = 'file';
+    inp.accept = 'audio/wav,audio/x-wav,audio/mpeg,audio/ogg,.wav,.mp3,.ogg';
+    inp.multiple = true;
+    inp.onchange = e => addSampleFiles([...e.target.files]);
+    inp.click();
+  });
+
+  samplesUI.ui.events.addEventListener('change', (e) => {
+    const type = e.target.dataset.sound;
+    if (type) window.applyMusicSettings(window.musicConfig, { eventSounds: { [type]: e.target.value } });
+  });
+
+  renderSampleControls();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.getSoundSample = getSoundSample;
+window.listSoundSamples = listSoundSamples;
+window.renderSampleControls = renderSampleControls;
+window.initializeSamples = initializeSamples;
@@ -0,0 +1,78 @@
+/**
+ * Seed Trials for Bouncing Balls Editor
+ * Runs the current program from a fresh start with a given seed, as Spawn
+ * would, and measures how the run went. Part of the DOM-free core: the seed
+ * explorer (explorer.js) runs trials in a worker, or here between frames.
+ */
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+const SEED_METRICS = {
+  balls: { label: 'Final ball count', format: v => String(v) },
+  firstEscape: { label: 'Time until first escape', format: v => (Number.isFinite(v) ? `${v.toFixed(2)}s` : 'never') },
+  exits: { label: 'Number of exits', format: v => String(v) },
+  score: { label: 'Score', format: v => String(v) },
+  maxBalls: { label: 'Max balls', format: v => String(v) }
+};
+
+// Counters of the trial in progress, fed by simulation events
+let trialStats = null;
+
+window.onSimulationEvent((type) => {
+  if (!trialStats || type !== 'exit') return;
+  trialStats.exits++;
+  if (trialStats.firstEscape === Infinity) trialStats.firstEscape = window.state.t;
+});
+
+// ============================================================================
+// TRIALS
+// ============================================================================
+
+/**
+ * Run `seed` for options.frames frames with options.balls starting balls
+ * and the rule program in options.program (generated code, compiled fresh
+ * so every trial starts from the same variables). Replaces the live
+ * simulation; callers on the page save and restore around it.
+ */
+function runSeedTrial(seed, options) {
+  const { state } = window;
+
+  window.resetSimulation();
+  state.program = options.program == null ? null : window.compileProgramCode(options.program);
+  window.applySeed(seed);
+
+  trialStats = { exits: 0, firstEscape: Infinity, maxBalls: 0 };
+  try {
+    for (let i = 0; i < options.balls; i++) window.spawnBall();
+    trialStats.maxBalls = state.balls.length;
+
+    for (let frame = 0; frame < options.frames; frame++) {
+      window.tick(state.dt);
+      trialStats.maxBalls = Math.max(trialStats.maxBalls, state.balls.length);
+    }
+
+    return {
+      seed,
+      metrics: {
+        balls: state.balls.length,
+        firstEscape: trialStats.firstEscape,
+        exits: trialStats.exits,
+        score: state.score,
+        maxBalls: trialStats.maxBalls
+      },
+      positions: window.packBallPositions(state.balls), // for the result thumbnail
+      colors: state.balls.map(b => b.color)
+    };
+  } finally {
+    trialStats = null;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.SEED_METRICS = SEED_METRICS;
+window.runSeedTrial = runSeedTrial;
@@ -0,0 +1,127 @@
+/**
+ * Simulation Worker for Bouncing Balls Editor
+ * Runs the DOM-free simulation core off the main thread, so heavy scenes
+ * don't stall Blockly. The page (workermode.js) loads it with the state to
+ * start from and asks for batches of ticks. Each reply carries the ball
+ * positions as a transferable Float32Array for drawing, plus the state,
+ * keyframes, events and sounds the page needs to keep its history exact.
+ * The seed explorer uses its own instance for seed trials.
+ */
+
+self.window = self;
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/seedrandom@3.0.5/seedrandom.min.js',
+  'utils.js',
+  'arena.js',
+  'obstacles.js',
+  'forces.js',
+  'physics.js',
+  'midi.js',
+  'music.js',
+  'program.js',
+  'project.js',
+  'seeds.js'
+);
+
+// ============================================================================
+// BATCH RECORDING
+// ============================================================================
+
+// Filled while a batch runs
+let batchFrame = null;
+let batchEvents = [];
+let batchSounds = [];
+let batchRecordingStop = null; // simulation time a rule asked to stop recording at
+
+window.onSimulationEvent((type, ballId) => {
+  if (batchFrame !== null) batchEvents.push({ frame: batchFrame, type, ballId });
+});
+
+// Notes are played by the page, in the order they were asked for
+window.setSoundOutput(note => batchSounds.push(note));
+window.setRecordingStopHandler((t) => {
+  if (batchRecordingStop === null) batchRecordingStop = t;
+});
+
+function takeKeyframe(frameNumber) {
+  const snapshot = window.createStateSnapshot(frameNumber);
+  snapshot.fingerprint = window.simulationFingerprint();
+  return snapshot;
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * load: scene, engine settings, rule program source and the state to start from
+ */
+function loadSimulation(data) {
+  const { state, physicsConfig } = window;
+
+  window.loadProjectSections(data.scene);
+  for (const [name, config] of Object.entries(data.physicsConfig)) {
+    if (physicsConfig[name]) Object.assign(physicsConfig[name], config);
+  }
+  state.dt = data.dt;
+  state.program = data.program == null ? null : window.compileProgramCode(data.program);
+  window.restoreStateSnapshot(data.snapshot, true);
+}
+
+/**
+ * run: tick `steps` frames from `start`, keeping a snapshot at every
+ * keyframe frame on the way
+ */
+function runBatch(data) {
+  const { state } = window;
+  const end = data.start + data.steps;
+  const keyframes = [];
+
+  state.doSfx = data.doSfx;
+  batchEvents = [];
+  batchSounds = [];
+  batchRecordingStop = null;
+  try {
+    for (let frame = data.start; frame < end; frame++) {
+      if (frame > data.start && frame % data.keyframeInterval === 0) keyframes.push(takeKeyframe(frame));
+      batchFrame = frame;
+      window.tick(state.dt);
+    }
+  } finally {
+    batchFrame = null;
+  }
+
+  const positions = window.packBallPositions(state.balls);
+  self.postMessage({
+    type: 'frames',
+    id: data.id,
+    start: data.start,
+    end,
+    positions,
+    snapshot: takeKeyframe(end),
+    keyframes,
+    events: batchEvents,
+    sounds: batchSounds,
+    recordingStop: batchRecordingStop
+  }, [positions.buffer]);
+}
+
+/**
+ * seed: one seed explorer trial (explorer.js), after a load with the scene
+ */
+function runSeed(data) {
+  const result = window.runSeedTrial(data.seed, data.options);
+  self.postMessage({ type: 'seed', id: data.id, result }, [result.positions.buffer]);
+}
+
+self.onmessage = (e) => {
+  const data = e.data;
+  try {
+    if (data.type === 'load') loadSimulation(data);
+    else if (data.type === 'run') runBatch(data);
+    else if (data.type === 'seed') runSeed(data);
+  } catch (err) {
+    self.postMessage({ type: 'error', id: data.id, message: String(err && err.message || err) });
+  }
+};
@@ -0,0 +1,260 @@
+/**
+ * Sound Output for Bouncing Balls Editor
+ * Synthesizes the notes music.js picks for simulation events through Web
+ * Audio, on one of a few small instruments, or plays the project's audio
+ * samples (samples.js) for them. At most musicConfig.polyphony
+ * notes sound at once (a new note takes over the oldest one) and a
+ * compressor on the master bus keeps big pile-ups from clipping.
+ * Everything goes through that bus, which feeds both the speakers and, once
+ * a recording asks for it, a MediaStream for MediaRecorder. Offline renders
+ * play their logged notes again in an OfflineAudioContext.
+ */
+
+// ============================================================================
+// INSTRUMENTS
+// ============================================================================
+
+const NOTE_PEAK_GAIN = 0.3; // at full velocity, before the master bus
+const SAMPLE_PEAK_GAIN = 0.6; // samples are usually recorded near full scale already
+const MIDDLE_C = 261.63; // Hz; tuned samples sound as recorded on this note
+const OFFLINE_SAMPLE_RATE = 48000;
+const VOICE_STEAL_GAP = 0.01; // s; notes starting together don't steal from each other
+
+/**
+ * Each instrument schedules one note on `context` starting at `at` and
+ * returns its amplitude envelope and sources (for cutting it short) and the
+ * time it ends
+ */
+const INSTRUMENT_SYNTHS = {
+  // Bright sawtooth through a closing low-pass filter
+  pluck(context, output, note, at, peak) {
+    const osc = context.createOscillator();
+    const filter = context.createBiquadFilter();
+    const env = context.createGain();
+    const end = at + note.dur * 1.5;
+    osc.type = 'sawtooth';
+    osc.frequency.value = note.freq;
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(Math.min(note.freq * 8, 16000), at);
+    filter.frequency.exponentialRampToValueAtTime(note.freq * 1.5, end);
+    envelope(env.gain, at, 0.002, peak * 0.6, end);
+    osc.connect(filter);
+    filter.connect(env);
+    env.connect(output);
+    return { env, sources: [osc], end };
+  },
+
+  // Sine with a short, quiet partial two octaves up for the mallet strike
+  marimba(context, output, note, at, peak) {
+    const osc = context.createOscillator();
+    const strike = context.createOscillator();
+    const strikeGain = context.createGain();
+    const env = context.createGain();
+    const end = at + note.dur * 1.6;
+    osc.type = 'sine';
+    osc.frequency.value = note.freq;
+    strike.type = 'sine';
+    strike.frequency.value = note.freq * 4;
+    envelope(strikeGain.gain, at, 0.001, 0.35, at + 0.08);
+    envelope(env.gain, at, 0.003, peak, end);
+    osc.connect(env);
+    strike.connect(strikeGain);
+    strikeGain.connect(env);
+    env.connect(output);
+    return { env, sources: [osc, strike], end };
+  },
+
+  // FM: an inharmonic modulator that fades out, leaving a long pure tail
+  bell(context, output, note, at, peak) {
+    const carrier = context.createOscillator();
+    const modulator = context.createOscillator();
+    const depth = context.createGain();
+    const env = context.createGain();
+    const end = at + note.dur * 3;
+    carrier.type = 'sine';
+    carrier.frequency.value = note.freq;
+    modulator.type = 'sine';
+    modulator.frequency.value = note.freq * 3.5;
+    depth.gain.setValueAtTime(note.freq * 2, at);
+    depth.gain.exponentialRampToValueAtTime(1, end);
+    envelope(env.gain, at, 0.005, peak * 0.8, end);
+    modulator.connect(depth);
+    depth.connect(carrier.frequency);
+    carrier.connect(env);
+    env.connect(output);
+    return { env, sources: [carrier, modulator], end };
+  },
+
+  // Square wave with a stepped envelope, like an old sound chip
+  chip(context, output, note, at, peak) {
+    const osc = context.createOscillator();
+    const env = context.createGain();
+    const end = at + note.dur;
+    osc.type = 'square';
+    osc.frequency.value = note.freq;
+    env.gain.setValueAtTime(peak * 0.35, at);
+    env.gain.setValueAtTime(peak * 0.2, at + note.dur * 0.4);
+    env.gain.linearRampToValueAtTime(0, end);
+    osc.connect(env);
+    env.connect(output);
+    return { env, sources: [osc], end };
+  }
+};
+
+/**
+ * Voice for a note that names a sample: played `note.pitch` semitones from
+ * its recorded pitch (rules), or following the note's pitch when the sample
+ * is tuned, plus its own shift and a random variation. Null when the sample
+ * isn't there (or not decoded yet), so the instrument plays instead.
+ */
+function sampleVoice(context, output, note, at, velocity) {
+  const sample = window.getSoundSample(note.sample);
+  if (!sample || !sample.buffer) return null;
+
+  const follow = note.pitch ?? (sample.tuned ? 12 * Math.log2(note.freq / MIDDLE_C) : 0);
+  const shift = follow + sample.pitch + (Math.random() * 2 - 1) * sample.variation;
+  const source = context.createBufferSource();
+  const env = context.createGain();
+  source.buffer = sample.buffer;
+  source.playbackRate.value = Math.pow(2, shift / 12);
+  env.gain.setValueAtTime(SAMPLE_PEAK_GAIN * velocity, at);
+  source.connect(env);
+  env.connect(output);
+  return { env, sources: [source], end: at + sample.buffer.duration / source.playbackRate.value };
+}
+
+// Fast attack to `peak`, then an exponential decay that's silent by `end`
+function envelope(param, at, attack, peak, end) {
+  param.setValueAtTime(0.0001, at);
+  param.exponentialRampToValueAtTime(Math.max(peak, 0.0002), at + attack);
+  param.exponentialRampToValueAtTime(0.0001, end);
+}
+
+// ============================================================================
+// VOICES
+// ============================================================================
+
+/**
+ * Schedule a note on a context's bus, keeping `voices` (the notes still
+ * sounding there, oldest first) within the polyphony limit. Returns false
+ * when the note was dropped: too many notes started at the same moment.
+ */
+function scheduleNote(context, bus, voices, note, at) {
+  const synth = INSTRUMENT_SYNTHS[note.instrument] || INSTRUMENT_SYNTHS.marimba;
+  const limit = window.musicConfig.polyphony;
+
+  for (let i = voices.length - 1; i >= 0; i--) {
+    if (voices[i].end <= at) voices.splice(i, 1);
+  }
+  if (voices.length >= limit) {
+    if (voices[0].start > at - VOICE_STEAL_GAP) return false;
+    releaseVoice(voices.shift(), at);
+  }
+
+  const velocity = Math.max(0, Math.min(1, note.velocity));
+  const voice = (note.sample && sampleVoice(context, bus, note, at, velocity)) ||
+    synth(context, bus, note, at, NOTE_PEAK_GAIN * velocity);
+  voice.start = at;
+  for (const source of voice.sources) {
+    source.start(at);
+    source.stop(voice.end);
+  }
+  voices.push(voice);
+  return true;
+}
+
+// Fade a stolen note out quickly instead of cutting it (no click)
+function releaseVoice(voice, at) {
+  voice.env.gain.cancelScheduledValues(at);
+  voice.env.gain.setTargetAtTime(0, at, 0.01);
+  for (const source of voice.sources) source.stop(at + 0.06);
+}
+
+/**
+ * Master bus of a context: a compressor that keeps sums of many notes in
+ * range, feeding `destination`
+ */
+function createMasterBus(context, destination) {
+  const bus = context.createDynamicsCompressor();
+  bus.threshold.value = -14;
+  bus.knee.value = 8;
+  bus.ratio.value = 6;
+  bus.attack.value = 0.003;
+  bus.release.value = 0.2;
+  bus.connect(destination);
+  return bus;
+}
+
+// ============================================================================
+// WEB AUDIO
+// ============================================================================
+
+let audioCtx = null;
+let masterBus = null; // every note, on its way to the speakers and recordings
+let recordingDestination = null;
+const liveVoices = [];
+
+function getAudioContext() {
+  if (!audioCtx) {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    masterBus = createMasterBus(audioCtx, audioCtx.destination);
+  }
+  return audioCtx;
+}
+
+function playNote(note) {
+  try {
+    const context = getAudioContext();
+    scheduleNote(context, masterBus, liveVoices, note, context.currentTime);
+  } catch (err) {
+    console.warn('Audio blocked by browser/sandbox:', err);
+    window.state.doSfx = false;
+    window.$('#chkSfx').checked = false;
+  }
+}
+
+/**
+ * Audio stream of every simulation sound from now on, for mixing into
+ * canvas recordings. Null where Web Audio can't provide one.
+ */
+function getRecordingAudioStream() {
+  try {
+    const context = getAudioContext();
+    if (!recordingDestination) {
+      recordingDestination = context.createMediaStreamDestination();
+      masterBus.connect(recordingDestination);
+    }
+    if (context.state === 'suspended') context.resume();
+    return recordingDestination.stream;
+  } catch (err) {
+    console.warn('Recording without sound:', err);
+    return null;
+  }
+}
+
+/**
+ * Render logged notes (each with `time`, seconds from the start) into a
+ * mono AudioBuffer `duration` seconds long
+ */
+function renderSoundLog(sounds, duration) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const length = Math.max(1, Math.ceil(duration * OFFLINE_SAMPLE_RATE));
+  const context = new OfflineContext(1, length, OFFLINE_SAMPLE_RATE);
+  const bus = createMasterBus(context, context.destination);
+  const voices = [];
+
+  for (const sound of sounds) {
+    if (sound.time < duration) scheduleNote(context, bus, voices, sound, sound.time);
+  }
+  return context.startRendering();
+}
+
+window.setSoundOutput(playNote);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.playNote = playNote;
+window.getRecordingAudioStream = getRecordingAudioStream;
+window.renderSoundLog = renderSoundLog;
@@ -0,0 +1,312 @@
+/**
+ * History Timeline for Bouncing Balls Editor
+ * A bar under the canvas spanning the frames that can be restored. Drag to
+ * scrub through them; the marker rows show where simulation events happened
+ * and clicking a marker jumps to the frame that raised it. The branch menu
+ * switches between history branches forked from edited frames.
+ */
+
+// ============================================================================
+// MARKER TYPES
+// ============================================================================
+
+// One row per event type, top to bottom
+const TIMELINE_MARKERS = {
+  wall: { label: 'Wall hit', color: '#4cc9f0' },
+  collision: { label: 'Collision', color: '#f72585' },
+  obstacle: { label: 'Obstacle hit', color: '#7b8cde' },
+  ringBreak: { label: 'Ring break', color: '#e76f51' },
+  spawn: { label: 'Spawn', color: '#80ed99' },
+  exit: { label: 'Exit', color: '#ffd166' },
+  score: { label: 'Score', color: '#ff8c42' }
+};
+
+const TIMELINE_PAD = 8; // px either side of the track, canvas pixels
+const TIMELINE_HIT_PX = 4; // how close a click must be to a marker
+const TIMELINE_REDRAW_MS = 100; // redraw rate while the simulation runs
+const TIMELINE_FORK_COLOR = '#b388ff';
+
+const timeline = {
+  canvas: null,
+  ctx: null,
+  info: null,
+  branchSelect: null,
+  branchKey: '',
+  dragging: false,
+  lastDraw: 0
+};
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+
+/**
+ * Frames shown on the bar: the restorable range, stretched to include the
+ * current frame
+ */
+function timelineSpan() {
+  const range = window.getHistoryRange();
+  const frame = window.currentFrame();
+  if (!range) return { start: frame, end: frame };
+  return { start: range.start, end: Math.max(range.end, frame) };
+}
+
+function timelineRows() {
+  return Object.keys(TIMELINE_MARKERS);
+}
+
+function frameToX(frame, span) {
+  const width = timeline.canvas.width - TIMELINE_PAD * 2;
+  const length = Math.max(1, span.end - span.start);
+  return TIMELINE_PAD + ((frame - span.start) / length) * width;
+}
+
+function xToFrame(x, span) {
+  const width = timeline.canvas.width - TIMELINE_PAD * 2;
+  const t = Math.max(0, Math.min(1, (x - TIMELINE_PAD) / width));
+  return Math.round(span.start + t * (span.end - span.start));
+}
+
+function rowHeight() {
+  return timeline.canvas.height / timelineRows().length;
+}
+
+// Pointer position in canvas pixels
+function timelinePoint(event) {
+  const rect = timeline.canvas.getBoundingClientRect();
+  return {
+    x: ((event.clientX - rect.left) / rect.width) * timeline.canvas.width,
+    y: ((event.clientY - rect.top) / rect.height) * timeline.canvas.height
+  };
+}
+
+/**
+ * Marker of the row's type nearest to the point, or null when none is
+ * within reach. Events are in frame order, so only a small window of them
+ * needs checking.
+ */
+function markerAt(point, span) {
+  const type = timelineRows()[Math.floor(point.y / rowHeight())];
+  if (!type) return null;
+
+  const events = window.getHistoryEvents();
+  const framesPerPx = (span.end - span.start) / (timeline.canvas.width - TIMELINE_PAD * 2);
+  const reach = Math.max(1, TIMELINE_HIT_PX * framesPerPx);
+  const target = xToFrame(point.x, span);
+
+  // First event at or after target - reach
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (events[mid].frame < target - reach) lo = mid + 1;
+    else hi = mid;
+  }
+
+  let best = null;
+  for (let i = lo; i < events.length && events[i].frame <= target + reach; i++) {
+    const e = events[i];
+    if (e.type !== type) continue;
+    if (!best || Math.abs(e.frame - target) < Math.abs(best.frame - target)) best = e;
+  }
+  return best;
+}
+
+// ============================================================================
+// DRAWING
+// ============================================================================
+
+/**
+ * Redraw the bar. Called from render(); throttled while running since the
+ * event log can hold many thousands of markers.
+ */
+function updateTimeline(force = false) {
+  if (!timeline.canvas) return;
+
+  const now = performance.now();
+  if (!force && window.state.running && now - timeline.lastDraw < TIMELINE_REDRAW_MS) return;
+  timeline.lastDraw = now;
+
+  fitTimelineCanvas();
+  const { canvas, ctx } = timeline;
+  const span = timelineSpan();
+  const rows = timelineRows();
+  const h = rowHeight();
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Track
+  ctx.fillStyle = 'rgba(255,255,255,0.04)';
+  rows.forEach((type, i) => {
+    if (i % 2 === 0) ctx.fillRect(TIMELINE_PAD, i * h, canvas.width - TIMELINE_PAD * 2, h);
+  });
+
+  // Markers, at most one per pixel column and row
+  const width = Math.ceil(canvas.width);
+  const drawn = rows.map(() => new Uint8Array(width + 1));
+  for (const e of window.getHistoryEvents()) {
+    const row = rows.indexOf(e.type);
+    if (row < 0 || e.frame < span.start) continue;
+    const x = Math.round(frameToX(e.frame, span));
+    if (drawn[row][x]) continue;
+    drawn[row][x] = 1;
+    ctx.fillStyle = TIMELINE_MARKERS[e.type].color;
+    ctx.fillRect(x, row * h + 1, 1, h - 2);
+  }
+
+  // Where the current branch and its ancestors were forked
+  ctx.fillStyle = TIMELINE_FORK_COLOR;
+  for (const branch of window.getHistoryBranches()) {
+    if (!branch.inLineage || branch.parentId === null || branch.forkFrame < span.start) continue;
+    const fx = Math.round(frameToX(branch.forkFrame, span));
+    ctx.fillRect(fx, 0, 1, canvas.height);
+    ctx.beginPath();
+    ctx.moveTo(fx - 4, 0);
+    ctx.lineTo(fx + 5, 0);
+    ctx.lineTo(fx + 0.5, 6);
+    ctx.fill();
+  }
+
+  refreshBranchSelect();
+
+  // Playhead
+  const x = frameToX(window.currentFrame(), span);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(Math.round(x) - 1, 0, 2, canvas.height);
+}
+
+// Match the canvas resolution to its on-screen size
+function fitTimelineCanvas() {
+  const { canvas } = timeline;
+  const width = Math.round(canvas.clientWidth * (window.devicePixelRatio || 1));
+  const height = Math.round(canvas.clientHeight * (window.devicePixelRatio || 1));
+  if (width > 0 && canvas.width !== width) canvas.width = width;
+  if (height > 0 && canvas.height !== height) canvas.height = height;
+}
+
+function buildTimelineLegend(legend) {
+  for (const marker of Object.values(TIMELINE_MARKERS)) {
+    const item = document.createElement('span');
+    const swatch = document.createElement('i');
+    swatch.style.background = marker.color;
+    item.append(swatch, marker.label);
+    legend.appendChild(item);
+  }
+
+  timeline.info = document.createElement('span');
+  timeline.info.className = 'timeline-info';
+  legend.appendChild(timeline.info);
+}
+
+/**
+ * Rebuild the branch menu when branches were added, dropped or switched
+ */
+function refreshBranchSelect() {
+  const select = timeline.branchSelect;
+  if (!select) return;
+
+  const branches = window.getHistoryBranches();
+  const key = branches.map(b => `${b.id}:${b.current}`).join(',');
+  if (key === timeline.branchKey) return;
+  timeline.branchKey = key;
+
+  select.innerHTML = '';
+  for (const branch of branches) {
+    const option = document.createElement('option');
+    option.value = String(branch.id);
+    option.textContent = branch.parentId === null
+      ? `Branch ${branch.id}`
+      : `Branch ${branch.id} (from ${branch.parentId} @ ${branch.forkFrame})`;
+    option.selected = branch.current;
+    select.appendChild(option);
+  }
+  select.disabled = branches.length < 2;
+}
+
+function describeMarker(marker) {
+  const label = TIMELINE_MARKERS[marker.type].label;
+  const ball = marker.ballId != null ? ` · ball #${marker.ballId}` : '';
+  return `${label}${ball} · frame ${marker.frame}`;
+}
+
+// ============================================================================
+// INTERACTION
+// ============================================================================
+
+function seekTimeline(frame) {
+  window.seekToFrame(frame); // re-renders, which redraws the bar
+  window.updateStepControlsUI();
+}
+
+function handleTimelinePointerDown(event) {
+  const span = timelineSpan();
+  const point = timelinePoint(event);
+
+  // Scrubbing freezes the simulation on the chosen frame
+  if (window.state.running) window.pauseSimulation();
+
+  const marker = markerAt(point, span);
+  if (marker) {
+    seekTimeline(marker.frame);
+    timeline.info.textContent = describeMarker(marker);
+    console.log(`Jumped to ${describeMarker(marker)}`);
+    return;
+  }
+
+  timeline.dragging = true;
+  timeline.canvas.setPointerCapture(event.pointerId);
+  seekTimeline(xToFrame(point.x, span));
+}
+
+function handleTimelinePointerMove(event) {
+  const span = timelineSpan();
+  const point = timelinePoint(event);
+
+  if (timeline.dragging) {
+    seekTimeline(xToFrame(point.x, span));
+    timeline.info.textContent = `frame ${window.currentFrame()}`;
+    return;
+  }
+
+  const marker = markerAt(point, span);
+  timeline.info.textContent = marker ? describeMarker(marker) : `frame ${xToFrame(point.x, span)}`;
+  timeline.canvas.style.cursor = marker ? 'pointer' : 'ew-resize';
+}
+
+function handleTimelinePointerUp(event) {
+  if (!timeline.dragging) return;
+  timeline.dragging = false;
+  timeline.canvas.releasePointerCapture(event.pointerId);
+}
+
+function initializeTimeline() {
+  timeline.canvas = document.getElementById('timeline');
+  if (!timeline.canvas) return;
+  timeline.ctx = timeline.canvas.getContext('2d');
+
+  buildTimelineLegend(document.getElementById('timelineLegend'));
+
+  timeline.branchSelect = document.getElementById('timelineBranch');
+  timeline.branchSelect.addEventListener('change', () => {
+    window.switchHistoryBranch(parseInt(timeline.branchSelect.value, 10));
+  });
+
+  timeline.canvas.addEventListener('pointerdown', handleTimelinePointerDown);
+  timeline.canvas.addEventListener('pointermove', handleTimelinePointerMove);
+  timeline.canvas.addEventListener('pointerup', handleTimelinePointerUp);
+  timeline.canvas.addEventListener('pointercancel', handleTimelinePointerUp);
+  timeline.canvas.addEventListener('pointerleave', () => {
+    if (!timeline.dragging) timeline.info.textContent = '';
+  });
+  window.addEventListener('resize', () => updateTimeline(true));
+
+  updateTimeline(true);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.TIMELINE_MARKERS = TIMELINE_MARKERS;
+window.initializeTimeline = initializeTimeline;
+window.updateTimeline = updateTimeline;
@@ -13,8 +13,11 @@ const UI = {
   btnPause: null,
   btnReset: null,
   btnApply: null,
+  programStatus: null,
   btnExportXml: null,
   btnImportXml: null,
+  btnSaveReplay: null,
+  btnLoadReplay: null,
   btnRecord: null,
   btnAutoRecord: null,
   downloadLink: null,
@@ -25,6 +28,7 @@ const UI = {
   chkTrail: null,
   chkSfx: null,
   chkCollide: null,
+  chkWorker: null,
   presetSelect: null,
   btnLoadPreset: null,
   btnTests: null,
@@ -35,25 +39,42 @@ const UI = {
   recordQuality: null,
   recordBitrate: null,
   physicsSelect: null,
-  arcadeSettings: null,
-  realisticSettings: null,
-  arcadeMinAngle: null,
-  arcadeMaxAngle: null,
-  realisticGravity: null,
-  realisticElasticity: null,
-  realisticAirResistance: null,
+  physicsSettings: null,
+  physicsDescription: null,
+  // Arena shape controls
+  arenaShape: null,
+  arenaSides: null,
+  arenaAspect: null,
+  arenaCorner: null,
+  arenaRotation: null,
+  arenaGapCount: null,
+  exitPolicy: null,
+  obstacleLayout: null,
+  forceFieldLayout: null,
+  ringCount: null,
+  ringList: null,
+  arenaMotion: null,
+  musicSettings: null,
+  recordMaxSeconds: null,
+  recordStopOn: null,
+  recordStopValue: null,
+  recordTail: null,
+  recordPlanStatus: null,
   // New frame stepping controls
   btnStepBack: null,
   btnStepForward: null,
   btnToggleMode: null,
   btnResetFrame: null,
-  stepSizeSelect: null
+  stepSizeSelect: null,
+  historyKeyframeInterval: null,
+  historyBudget: null
 };
 
 // Recording functionality
 let mediaRecorder = null;
 let recordedChunks = [];
 let autoRecordEnabled = false;
+let liveRecordingPlan = null; // plan run of the MediaRecorder recording
 
 // Resize functionality
 let isResizing = false;
@@ -66,15 +87,29 @@ function enableRecordUI(enabled) {
   if (!enabled) UI.btnRecord.textContent = 'Recording disabled';
 }
 
-function getRecordingMimeType() {
+function getRecordingMimeType(withAudio) {
   const format = UI.recordFormat.value;
   const codecs = {
     webm: ['vp9', 'vp8', 'h264'],
     mp4: ['h264', 'avc1']
   };
+  const audioCodecs = {
+    webm: ['opus'],
+    mp4: ['mp4a.40.2', 'opus']
+  };
   
+  // With sound, prefer types that name an audio codec too
+  const candidates = [];
   for (const codec of codecs[format] || codecs.webm) {
-    const mimeType = `video/${format};codecs=${codec}`;
+    if (withAudio) {
+      for (const audioCodec of audioCodecs[format] || audioCodecs.webm) {
+        candidates.push(`video/${format};codecs=${codec},${audioCodec}`);
+      }
+    }
+    candidates.push(`video/${format};codecs=${codec}`);
+  }
+  
+  for (const mimeType of candidates) {
     if (MediaRecorder.isTypeSupported(mimeType)) {
       return mimeType;
     }
@@ -109,7 +144,13 @@ function startRecording() {
     const stream = canvas.captureStream(fps);
     recordedChunks = [];
     
-    const mimeType = getRecordingMimeType();
+    // Simulation sounds go into the video along with the canvas
+    const audioStream = window.getRecordingAudioStream();
+    if (audioStream) {
+      for (const track of audioStream.getAudioTracks()) stream.addTrack(track);
+    }
+    
+    const mimeType = getRecordingMimeType(!!audioStream);
     const bitrate = getRecordingBitrate();
     
     mediaRecorder = new MediaRecorder(stream, {
@@ -135,6 +176,7 @@ function startRecording() {
     };
     
     mediaRecorder.start();
+    liveRecordingPlan = startRecordingPlan();
     UI.btnRecord.textContent = 'Stop Recording';
     console.log(`Recording started: ${mimeType}, ${getRecordingBitrate()/1000}kbps, ${fps}fps`);
   } catch (err) {
@@ -148,9 +190,85 @@ function stopRecording() {
     if (mediaRecorder && mediaRecorder.state !== 'inactive') mediaRecorder.stop();
   } catch {}
   mediaRecorder = null;
+  if (liveRecordingPlan) endRecordingPlan(liveRecordingPlan);
+  liveRecordingPlan = null;
+  UI.recordPlanStatus.textContent = '';
   UI.btnRecord.textContent = 'Start Recording';
 }
 
+// Recording plan: when recordings (live and offline) end, in simulation time
+const recordingPlanRuns = new Set(); // runs of recordings in progress
+
+function readRecordingPlan() {
+  const maxSeconds = parseFloat(UI.recordMaxSeconds.value);
+  return {
+    maxSeconds: maxSeconds > 0 ? maxSeconds : Infinity,
+    stopOn: UI.recordStopOn.value,
+    stopValue: parseFloat(UI.recordStopValue.value) || 0,
+    tail: Math.max(0, parseFloat(UI.recordTail.value) || 0)
+  };
+}
+
+/**
+ * Follow the plan from the current simulation time, until
+ * endRecordingPlan(run)
+ */
+function startRecordingPlan() {
+  const run = { ...readRecordingPlan(), startT: window.state.t, stopAt: null };
+  recordingPlanRuns.add(run);
+  return run;
+}
+
+function endRecordingPlan(run) {
+  recordingPlanRuns.delete(run);
+}
+
+function isRecordingConditionMet(run) {
+  const { state } = window;
+  switch (run.stopOn) {
+    case 'balls': return state.balls.length >= run.stopValue;
+    case 'score': return state.score >= run.stopValue;
+    case 'time': return state.t >= run.stopValue;
+    default: return false;
+  }
+}
+
+/**
+ * Whether a recording following `run` has everything it should have by
+ * now: its maximum length, or the tail after the stop condition (or a
+ * "stop recording" block)
+ */
+function isRecordingPlanDone(run) {
+  const t = window.state.t;
+  if (run.stopAt === null && isRecordingConditionMet(run)) run.stopAt = t + run.tail;
+  const eps = window.state.dt / 2;
+  return t - run.startT >= run.maxSeconds - eps || (run.stopAt !== null && t >= run.stopAt - eps);
+}
+
+// "stop recording" block: recordings end once the tail after it has played
+function handleRecordingStopRequest(t) {
+  for (const run of recordingPlanRuns) {
+    if (run.stopAt === null || run.stopAt > t + run.tail) run.stopAt = t + run.tail;
+  }
+}
+
+// After each animation frame or step while running: end the live recording on plan
+function updateRecordingPlan() {
+  const run = liveRecordingPlan;
+  if (!run) return;
+  
+  if (isRecordingPlanDone(run)) {
+    console.log(`Recording plan: stopped after ${(window.state.t - run.startT).toFixed(2)} s of simulation`);
+    stopRecording();
+    return;
+  }
+  
+  const elapsed = window.state.t - run.startT;
+  UI.recordPlanStatus.textContent = run.stopAt !== null
+    ? `Stopping in ${Math.max(0, run.stopAt - window.state.t).toFixed(1)} s`
+    : `Recorded ${elapsed.toFixed(1)} s${run.maxSeconds < Infinity ? ` of ${run.maxSeconds} s` : ''}`;
+}
+
 function toggleAutoRecord() {
   autoRecordEnabled = !autoRecordEnabled;
   UI.btnAutoRecord.textContent = autoRecordEnabled ? 'Auto-record: ON' : 'Auto-record: OFF';
@@ -193,38 +311,385 @@ function stopResize() {
 }
 
 // Physics engine management
+// Engine picker, built from the physics engine registry
+function buildPhysicsSelect() {
+  const current = window.state.physicsEngine;
+  UI.physicsSelect.innerHTML = '';
+  
+  for (const engine of window.getPhysicsEngines()) {
+    const opt = document.createElement('option');
+    opt.value = engine.name;
+    opt.textContent = engine.label;
+    UI.physicsSelect.appendChild(opt);
+  }
+  
+  UI.physicsSelect.value = current;
+}
+
 function switchPhysicsEngine() {
   const engine = UI.physicsSelect.value;
   window.setPhysicsEngine(engine);
   
-  // Show/hide appropriate settings
-  if (engine === 'realistic') {
-    UI.arcadeSettings.style.display = 'none';
-    UI.realisticSettings.style.display = 'block';
-  } else if (engine === 'arcade' || engine === 'arcadeSimple') {
-    UI.arcadeSettings.style.display = 'block';
-    UI.realisticSettings.style.display = 'none';
-  }
+  // Show the selected engine's settings
+  renderPhysicsSettings();
   
   console.log(`Switched to ${engine} physics`);
 }
 
-function updatePhysicsParameters() {
-  // Update arcade physics parameters (applies to both arcade modes)
-  if (window.physicsConfig) {
-    const minAngle = parseFloat(UI.arcadeMinAngle.value) || 15;
-    const maxAngle = parseFloat(UI.arcadeMaxAngle.value) || 165;
+/**
+ * Show the engine and settings the simulation is using after they were
+ * changed from outside the panel (history restore, replays)
+ */
+function syncPhysicsControls() {
+  if (UI.physicsSelect.value !== window.state.physicsEngine) {
+    UI.physicsSelect.value = window.state.physicsEngine;
+  }
+  UI.chkCollide.checked = window.state.doCollide;
+  UI.exitPolicy.value = window.state.exitPolicy;
+  renderPhysicsSettings();
+}
+
+/**
+ * Settings panel generated from the current engine's configSchema
+ */
+function renderPhysicsSettings() {
+  const engine = window.getPhysicsEngine(window.state.physicsEngine);
+  if (!engine) return;
+  const config = window.physicsConfig[engine.name];
+  
+  UI.physicsSettings.innerHTML = '';
+  
+  for (const field of engine.configSchema) {
+    const row = document.createElement('div');
+    row.className = 'option-row';
+    
+    const label = document.createElement('label');
+    label.textContent = `${field.label}:`;
+    row.appendChild(label);
+    
+    let input;
+    if (field.type === 'select') {
+      input = document.createElement('select');
+      for (const [text, value] of field.options || []) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        input.appendChild(opt);
+      }
+    } else {
+      input = document.createElement('input');
+      input.type = 'number';
+      if (field.min !== undefined) input.min = field.min;
+      if (field.max !== undefined) input.max = field.max;
+      if (field.step !== undefined) input.step = field.step;
+    }
+    input.dataset.key = field.key;
+    input.value = config[field.key];
+    if (field.title) input.title = field.title;
+    row.appendChild(input);
+    
+    if (field.unit) {
+      const unit = document.createElement('span');
+      unit.style.fontSize = '10px';
+      unit.textContent = field.unit;
+      row.appendChild(unit);
+    }
+    
+    UI.physicsSettings.appendChild(row);
+  }
+  
+  UI.physicsSettings.style.display = engine.configSchema.length ? 'grid' : 'none';
+  UI.physicsDescription.textContent = engine.description;
+}
+
+function updatePhysicsParameters(e) {
+  const key = e?.target?.dataset?.key;
+  const engine = window.getPhysicsEngine(window.state.physicsEngine);
+  if (!key || !engine) return;
+  
+  const field = engine.configSchema.find(f => f.key === key);
+  const config = window.physicsConfig[engine.name];
+  if (!field) return;
+  
+  if (field.type === 'select') {
+    config[key] = e.target.value;
+  } else {
+    const value = parseFloat(e.target.value);
+    config[key] = Number.isFinite(value) ? value : field.default;
+  }
+}
+
+// Arena shape management
+function updateArenaShape() {
+  const arena = window.arena;
+  const [shape, presetSides] = UI.arenaShape.value.split(':');
+  
+  // Preset polygons (triangle, square, hexagon) pin the side count
+  if (presetSides) UI.arenaSides.value = presetSides;
+  
+  arena.shape = shape;
+  arena.sides = Math.max(3, Math.min(12, parseInt(UI.arenaSides.value) || 6));
+  arena.aspect = parseFloat(UI.arenaAspect.value) || 0.7;
+  arena.cornerRadius = parseFloat(UI.arenaCorner.value) || 0;
+  arena.rotation = ((parseFloat(UI.arenaRotation.value) || 0) * Math.PI) / 180;
+  arena.gapCount = Math.max(1, Math.min(8, parseInt(UI.arenaGapCount.value) || 1));
+  
+  if (shape === 'rings' && arena.rings.length === 0) {
+    rebuildRings();
+  }
+  
+  showArenaShapeRows();
+  
+  // Show the new outline right away when paused
+  if (!window.state.running && window.renderStatic) {
+    window.clearCanvas(true);
+    window.renderStatic();
+  }
+}
+
+// Only show the settings the selected shape actually uses
+function showArenaShapeRows() {
+  const [shape, presetSides] = UI.arenaShape.value.split(':');
+  $('#arenaSidesRow').style.display = (shape === 'polygon' && !presetSides) ? 'flex' : 'none';
+  $('#arenaAspectRow').style.display = (shape === 'roundedRect' || shape === 'stadium') ? 'flex' : 'none';
+  $('#arenaCornerRow').style.display = shape === 'roundedRect' ? 'flex' : 'none';
+  $('#arenaGapCountRow').style.display = shape === 'rings' ? 'none' : 'flex';
+  $('#ringsEditor').style.display = shape === 'rings' ? 'block' : 'none';
+}
+
+// Show an arena design loaded from a file in the shape controls, leaving
+// the arena itself untouched
+function syncArenaControls() {
+  const arena = window.arena;
+  const preset = `${arena.shape}:${arena.sides}`;
+  const hasPreset = [...UI.arenaShape.options].some(o => o.value === preset);
+  UI.arenaShape.value = arena.shape === 'polygon' && hasPreset ? preset : arena.shape;
+  UI.arenaSides.value = arena.sides;
+  UI.arenaAspect.value = arena.aspect;
+  UI.arenaCorner.value = arena.cornerRadius;
+  UI.arenaRotation.value = Math.round((arena.rotation * 180) / Math.PI);
+  UI.arenaGapCount.value = arena.gapCount;
+  if (arena.rings.length) UI.ringCount.value = arena.rings.length;
+  renderRingEditor();
+  showArenaShapeRows();
+}
+
+// Obstacles (pegs, segments, arcs) from a ready-made layout
+function applyObstacleLayout() {
+  const layout = window.createObstacleLayout(UI.obstacleLayout.value, window.arena);
+  window.setArenaObstacles(window.arena, layout);
+  
+  if (!window.state.running && window.renderStatic) {
+    window.clearCanvas(true);
+    window.renderStatic();
+  }
+}
+
+// Scene force fields from a ready-made layout; takes effect immediately
+function applyForceFieldLayout() {
+  window.arena.forceFields = window.createForceFieldLayout(UI.forceFieldLayout.value, window.arena);
+  window.state.forceFields = window.cloneForceFields(window.arena.forceFields);
+  
+  if (!window.state.running && window.renderStatic) {
+    window.clearCanvas(true);
+    window.renderStatic();
+  }
+}
+
+// Arena motion (animated gap angle, gap width and radius)
+const MOTION_UNITS = { gapAngle: Math.PI / 180, gapWidth: Math.PI / 180, r: 1 };
+
+function applyArenaMotionSettings() {
+  UI.arenaMotion.querySelectorAll('.motion-row').forEach(row => {
+    const channel = row.dataset.channel;
+    const unit = MOTION_UNITS[channel];
+    const mode = row.querySelector('[data-k="mode"]').value;
+    const inputA = row.querySelector('[data-k="a"]');
+    const inputB = row.querySelector('[data-k="b"]');
+    const a = parseFloat(inputA.value) || 0;
+    const b = parseFloat(inputB.value) || 0;
+    
+    const props = { mode };
+    if (mode === 'constant') props.rate = a * unit;
+    if (mode === 'oscillate') {
+      props.amplitude = a * unit;
+      props.period = b || 2;
+    }
+    if (mode === 'ramp') {
+      props.target = a * unit;
+      props.duration = b;
+    }
+    window.setArenaMotion(window.arena, channel, props);
+    
+    inputA.disabled = mode === 'none';
+    inputB.disabled = mode === 'none' || mode === 'constant';
+  });
+  
+  // Show where the arena is at the current simulation time
+  window.updateArenaMotion(window.arena, window.state.t);
+  if (!window.state.running && window.renderStatic) {
+    window.clearCanvas(true);
+    window.renderStatic();
+  }
+}
+
+// Ring editor ("escape the rings" arena)
+function rebuildRings() {
+  const count = Math.max(1, Math.min(8, parseInt(UI.ringCount.value) || 4));
+  window.setArenaRings(window.arena, window.createDefaultRings(window.arena, count));
+  renderRingEditor();
+}
+
+function renderRingEditor() {
+  const list = UI.ringList;
+  list.innerHTML = '';
+  
+  window.arena.rings.forEach((ring, i) => {
+    const row = document.createElement('div');
+    row.className = 'ring-row';
+    row.innerHTML = `
+      <span>${i + 1}</span>
+      <input type="number" data-k="r" min="20" max="1000" step="5" value="${Math.round(ring.r)}">
+      <input type="number" data-k="gap" min="1" max="180" step="1" value="${Math.round(ring.gapWidth * 180 / Math.PI)}">
+      <input type="number" data-k="spin" min="-720" max="720" step="5" value="${Math.round(ring.angularVelocity * 180 / Math.PI)}">
+      <input type="color" data-k="color" value="${ring.color}">
+      <input type="checkbox" data-k="breaks" ${ring.breaksOnEscape ? 'checked' : ''}>`;
+    
+    row.addEventListener('input', (e) => {
+      const k = e.target.dataset.k;
+      const v = parseFloat(e.target.value);
+      if (k === 'r' && v > 0) ring.r = v;
+      if (k === 'gap' && v > 0) ring.gapWidth = (v * Math.PI) / 180;
+      if (k === 'spin' && !isNaN(v)) ring.angularVelocity = (v * Math.PI) / 180;
+      if (k === 'color') ring.color = e.target.value;
+      if (k === 'breaks') ring.breaksOnEscape = e.target.checked;
+      
+      if (!window.state.running) window.renderStatic();
+    });
     
-    window.physicsConfig.arcade.minReflectionAngle = minAngle;
-    window.physicsConfig.arcade.maxReflectionAngle = maxAngle;
-    window.physicsConfig.arcadeSimple.minReflectionAngle = minAngle;
-    window.physicsConfig.arcadeSimple.maxReflectionAngle = maxAngle;
+    // Keep rings ordered innermost first once a radius edit is committed
+    row.addEventListener('change', (e) => {
+      if (e.target.dataset.k === 'r') {
+        window.setArenaRings(window.arena, window.arena.rings);
+        renderRingEditor();
+      }
+    });
     
-    // Update realistic physics parameters
-    window.physicsConfig.realistic.gravity = parseFloat(UI.realisticGravity.value) || 980;
-    window.physicsConfig.realistic.elasticity = parseFloat(UI.realisticElasticity.value) || 0.85;
-    window.physicsConfig.realistic.airResistance = parseFloat(UI.realisticAirResistance.value) || 0.99;
+    list.appendChild(row);
+  });
+}
+
+// Sound settings (music.js picks the notes, sound.js plays them)
+function fillSelect(select, entries) {
+  select.innerHTML = '';
+  for (const [value, text] of entries) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = text;
+    select.appendChild(opt);
+  }
+}
+
+function buildMusicControls() {
+  const labels = table => Object.entries(table).map(([key, entry]) => [key, entry.label]);
+  fillSelect($('#musicInstrument'), labels(window.MUSIC_INSTRUMENTS));
+  fillSelect($('#musicScale'), labels(window.MUSIC_SCALES));
+  fillSelect($('#musicProgression'), labels(window.MUSIC_PROGRESSIONS));
+  
+  const roots = [];
+  for (let midi = 36; midi <= 84; midi++) roots.push([midi, window.midiNoteName(midi)]);
+  fillSelect($('#musicRoot'), roots);
+  
+  const events = $('#musicEvents');
+  events.innerHTML = '';
+  for (const [type, event] of Object.entries(window.MUSIC_EVENTS)) {
+    const label = document.createElement('label');
+    label.innerHTML = `<input type="checkbox" data-event="${type}"> ${event.label}`;
+    events.appendChild(label);
+  }
+}
+
+// Parts of the MIDI file loaded last, to pick the melody from
+let midiParts = [];
+
+// Show musicConfig (after a project load) in the Sound panel
+function syncMusicControls() {
+  const config = window.musicConfig;
+  UI.musicSettings.querySelectorAll('[data-k]').forEach(input => {
+    const value = config[input.dataset.k];
+    input.value = input.type === 'range' ? Math.round(value * 100) : value;
+  });
+  UI.musicSettings.querySelectorAll('[data-event]').forEach(input => {
+    input.checked = !!config.events[input.dataset.event];
+  });
+  $('#musicScaleRow').style.display = config.mode === 'scale' ? 'flex' : 'none';
+  $('#musicProgressionRow').style.display = config.mode === 'progression' ? 'flex' : 'none';
+  $('#musicRootRow').style.display = config.mode === 'melody' ? 'none' : 'flex';
+  $('#musicMelodyRow').style.display = config.mode === 'melody' ? 'flex' : 'none';
+  
+  // Parts of another file than the melody in use (a project was loaded) are no use any more
+  if (!midiParts.some(part => part.name === config.melody?.name)) midiParts = [];
+  const partSelect = $('#musicMelodyPart');
+  if (!midiParts.length) fillSelect(partSelect, []);
+  partSelect.style.display = midiParts.length > 1 ? '' : 'none';
+  
+  window.renderSampleControls();
+  
+  const info = $('#musicMelodyInfo');
+  info.style.display = config.mode === 'melody' ? 'block' : 'none';
+  info.textContent = config.melody
+    ? `${config.melody.name}: ${config.melody.steps.length} steps`
+    : 'No melody loaded yet; events play the scale until one is.';
+}
+
+function loadMidiFile() {
+  const inp = document.createElement('input');
+  inp.type = 'file';
+  inp.accept = '.mid,.midi,audio/midi';
+  inp.onchange = (e) => {
+    const f = e.target.files[0];
+    if (!f) return;
+    f.arrayBuffer().then((buffer) => {
+      const { parts } = window.parseMidiFile(buffer);
+      const fileName = f.name.replace(/\.midi?$/i, '');
+      midiParts = parts.map(part => ({ ...part, name: `${fileName}: ${part.name}` }));
+      
+      const select = $('#musicMelodyPart');
+      fillSelect(select, midiParts.map((part, i) => [i, `${part.name} (${part.noteCount} notes)${part.drums ? ' – drums' : ''}`]));
+      // Start with the busiest part that isn't drums
+      const tuned = midiParts.filter(part => !part.drums);
+      const best = (tuned.length ? tuned : midiParts).reduce((a, b) => (b.steps.length > a.steps.length ? b : a));
+      select.value = midiParts.indexOf(best);
+      useMidiPart();
+    }).catch((err) => {
+      console.warn('MIDI load failed', err);
+      alert(`Invalid MIDI file: ${err.message}`);
+    });
+  };
+  inp.click();
+}
+
+function useMidiPart() {
+  const part = midiParts[parseInt($('#musicMelodyPart').value, 10)];
+  if (!part) return;
+  window.applyMusicSettings(window.musicConfig, { mode: 'melody', melody: { name: part.name, steps: part.steps } });
+  syncMusicControls();
+}
+
+function updateMusicSettings(e) {
+  const key = e?.target?.dataset?.k;
+  const type = e?.target?.dataset?.event;
+  if (key) {
+    const value = e.target.type === 'range' ? e.target.value / 100 : e.target.value;
+    window.applyMusicSettings(window.musicConfig, { [key]: value });
+  } else if (type) {
+    window.applyMusicSettings(window.musicConfig, { events: { [type]: e.target.checked } });
+  } else {
+    return;
   }
+  
+  // Number boxes show the value actually used once editing is done
+  if (e.type === 'change') syncMusicControls();
 }
 
 // ============================================================================
@@ -310,19 +775,29 @@ function updateStepControlsUI() {
   }
 }
 
+function updateHistorySettings() {
+  window.setHistoryConfig({
+    keyframeInterval: parseInt(UI.historyKeyframeInterval.value, 10),
+    memoryBudgetMB: parseFloat(UI.historyBudget.value)
+  });
+  UI.historyKeyframeInterval.value = window.historyConfig.keyframeInterval;
+  UI.historyBudget.value = window.historyConfig.memoryBudgetMB;
+}
+
 function showHistoryStats() {
   const stats = window.getHistoryStats();
   const message = `History Buffer Stats:
-- Total frames stored: ${stats.totalFrames}
+- Frames available: ${stats.totalFrames} (${stats.keyframeCount} keyframes, every ${stats.keyframeInterval} frames)
+- Branch: ${stats.currentBranch} of ${stats.branchCount}
 - Frame range: ${stats.frameRange}
 - Max saved frame: ${stats.maxSavedFrame}
-- Memory usage: ~${Math.round(stats.memoryUsageBytes / 1024)}KB
-- Available frames: ${stats.availableFrames.length > 10 ? 
+- Memory usage: ~${Math.round(stats.memoryUsageBytes / 1024)}KB of ${Math.round(stats.memoryBudgetBytes / 1024 / 1024)}MB budget
+- Keyframes (this branch): ${stats.availableFrames.length > 10 ? 
     `${stats.availableFrames.slice(0, 5).join(', ')}...${stats.availableFrames.slice(-5).join(', ')}` : 
     stats.availableFrames.join(', ')}`;
   
   console.log(message);
-  console.log('Full available frames list:', stats.availableFrames);
+  console.log('Full keyframe list:', stats.availableFrames);
   alert(message);
 }
 
@@ -330,14 +805,130 @@ function showHistoryStats() {
 // EXISTING FUNCTIONS (Enhanced)
 // ============================================================================
 
+let appliedProgram = null; // compiled from the workspace by applyProgram()
+
 function applyProgram() {
   try {
     window.applySeed(UI.seed.value || 'seed');
-    window.state.program = window.compileWorkspace(window.workspace);
+    window.state.program = appliedProgram = window.compileWorkspace(window.workspace);
     console.log('[applyProgram] OK', window.state.program);
   } catch (err) {
     console.error('[applyProgram] failed:', err);
   }
+  syncProgramStatus();
+}
+
+// Restored frames run the rules recorded with them, which may not be the
+// workspace's; say so until the workspace is applied again
+function syncProgramStatus() {
+  const program = window.state.program;
+  UI.programStatus.textContent = program && program !== appliedProgram
+    ? 'Running the rules recorded with this frame. Apply Program to use the workspace\'s rules.'
+    : '';
+}
+
+// Recording plans run on simulation time, so moving state.t and state.score
+// by hand stands in for recording
+function checkRecordingPlans(ok) {
+  const { state } = window;
+  const fields = [UI.recordMaxSeconds, UI.recordStopOn, UI.recordStopValue, UI.recordTail];
+  const savedFields = fields.map(el => el.value);
+  const saved = { t: state.t, score: state.score };
+  const runs = [];
+  const startPlan = (...values) => {
+    fields.forEach((el, i) => { el.value = values[i]; });
+    state.t = 0;
+    state.score = 0;
+    const run = startRecordingPlan();
+    runs.push(run);
+    return run;
+  };
+  const doneAt = (run, t) => {
+    state.t = t;
+    return isRecordingPlanDone(run);
+  };
+  
+  try {
+    const capped = startPlan('2', 'none', '0', '0');
+    ok('Recording plan ends at its maximum length', !doneAt(capped, 1.9) && doneAt(capped, 2));
+    
+    const scored = startPlan('', 'score', '5', '1');
+    state.score = 5;
+    const onCondition = doneAt(scored, 3);
+    state.score = 0; // the tail plays out even if the condition stops holding
+    ok('Recording plan keeps the tail after its stop condition', !onCondition && !doneAt(scored, 3.9) && doneAt(scored, 4));
+    
+    runs.forEach(endRecordingPlan);
+    const blocked = startPlan('', 'none', '0', '0.5');
+    [3, 1, 2].forEach(t => handleRecordingStopRequest(t));
+    ok('Stop recording block ends at the earliest request', blocked.stopAt === 1.5 && !doneAt(blocked, 1.4) && doneAt(blocked, 1.5));
+  } finally {
+    runs.forEach(endRecordingPlan);
+    fields.forEach((el, i) => { el.value = savedFields[i]; });
+    Object.assign(state, saved);
+  }
+}
+
+// Frame history, snapshots and the broadphase must reproduce a run exactly,
+// so these compare whole simulation states rather than a few fields
+function checkSimulationHistory(ok) {
+  const { state } = window;
+  const program = state.program;
+  const frameState = () => {
+    const { timestamp, ...rest } = window.createStateSnapshot(0);
+    return JSON.stringify(rest);
+  };
+  
+  try {
+    window.reset();
+    window.applySeed('history-tests');
+    state.doCollide = true;
+    state.program = {
+      onWallHit(b) { b.scaleSpeed(0.9 + window.rng() * 0.2); }
+    };
+    for (let i = 0; i < 6; i++) window.spawnBall();
+    
+    const firstRun = [];
+    for (let f = 0; f < 150; f++) {
+      firstRun.push(frameState());
+      window.tickWithHistory(f);
+    }
+    firstRun.push(frameState());
+    
+    // Frame 100 lies between keyframes, so it is re-simulated
+    const restored = window.restoreSimulationState(100) === 100 && frameState() === firstRun[100];
+    ok('Restored frame matches the first run', restored);
+    window.tickWithHistory(100);
+    ok('Stepping on from a restored frame matches the first run', frameState() === firstRun[101]);
+    
+    // An edit at a past frame can't be re-simulated, so it starts a branch
+    const branches = window.getHistoryBranches().length;
+    window.restoreSimulationState(50);
+    state.balls[0].mass = 10;
+    window.tickWithHistory(50);
+    ok('Editing mass at a past frame forks a branch', window.getHistoryBranches().length === branches + 1);
+    
+    const snapshot = window.createStateSnapshot(0);
+    const draws = [window.rng(), window.rng()];
+    window.restoreStateSnapshot(snapshot);
+    ok('Snapshots carry the random generator', window.rng() === draws[0] && window.rng() === draws[1]);
+    
+    // Twice the broadphase threshold, packed so that most balls overlap
+    state.program = null;
+    const scene = () => Array.from({ length: window.BROADPHASE_MIN_BALLS * 2 }, (_, i) => ({
+      id: i + 1, x: (i % 8) * 18, y: Math.floor(i / 8) * 18, vx: (i % 3) * 40 - 40, vy: (i % 5) * 20 - 40,
+      r: 8 + (i % 4) * 2, color: '#fff', mass: null, restitution: null, alive: true, data: null
+    }));
+    state.balls = scene();
+    window.handleCollisions();
+    const bruteForce = scene();
+    window.resolvePairsBruteForce(bruteForce, bruteForce.length);
+    ok('Broadphase matches the double loop', JSON.stringify(state.balls) === JSON.stringify(bruteForce));
+  } finally {
+    window.reset();
+    if (window.resetFrameCounter) window.resetFrameCounter();
+    state.program = program;
+  }
 }
 
 function runTests() {
@@ -364,9 +955,35 @@ function runTests() {
     ok('Codegen threw', false);
   }
   
+  try {
+    // Procedure parameters stay locals; other variables go through api.vars
+    const scratch = new Blockly.Workspace();
+    const get = id => ({ block: { type: 'variables_get', fields: { VAR: { id } } } });
+    Blockly.serialization.workspaces.load({
+      variables: [{ name: 'n', id: 'n' }, { name: 'total', id: 'total' }],
+      blocks: { blocks: [{
+        type: 'procedures_defreturn',
+        fields: { NAME: 'twice' },
+        extraState: { params: [{ name: 'n', id: 'n' }] },
+        inputs: {
+          STACK: { block: { type: 'variables_set', fields: { VAR: { id: 'total' } }, inputs: { VALUE: get('n') } } },
+          RETURN: { block: { type: 'math_arithmetic', fields: { OP: 'ADD' }, inputs: { A: get('n'), B: get('total') } } }
+        }
+      }] }
+    }, scratch);
+    const code = window.generateProgramCode(scratch);
+    scratch.dispose();
+    const api = { vars: {} };
+    const twice = new Function('api', `${code}\nreturn twice;`)(api);
+    ok('Procedure parameters compile as locals', twice(3) === 6 && api.vars.total === 3 && !('n' in api.vars));
+  } catch (e) {
+    ok('Procedure codegen threw', false);
+  }
+
   try {
     applyProgram();
     ok('program.onWallHit exists', typeof window.state.program?.onWallHit === 'function');
+    ok('Program variables live in simulation state', !!window.state.vars && typeof window.state.vars === 'object');
   } catch (e) {
     ok('Apply program threw', false);
   }
@@ -408,17 +1025,64 @@ function runTests() {
     ok('Auto-record functionality initialized', typeof autoRecordEnabled === 'boolean');
     ok('Resize handle present', !!UI.resizeHandle);
     ok('Recording options available', !!(UI.recordFormat && UI.recordFps && UI.recordQuality));
+    ok('Recording plan options available', !!(UI.recordMaxSeconds && UI.recordStopOn && UI.recordStopValue && UI.recordTail));
     ok('Physics engine selector present', !!UI.physicsSelect);
     ok('Physics config available', !!(window.physicsConfig && window.setPhysicsEngine));
-    ok('Arcade physics parameters available', !!(UI.arcadeMinAngle && UI.arcadeMaxAngle && window.physicsConfig.arcade));
-    ok('Realistic physics parameters available', !!(UI.realisticGravity && window.physicsConfig.realistic));
+    ok('Ball mass follows radius by default', window.ballMass({ r: 30, mass: null }) === 4);
+    ok('Obstacle types registered', ['peg', 'segment', 'arc'].every(t => !!window.ObstacleTypes[t]));
+    const pull = window.forceFieldAccel(window.createForceField({ type: 'attractor', x: 0, y: 0, radius: 0 }), 100, 0);
+    ok('Attractor pulls towards its center', pull.ax < 0 && pull.ay === 0);
+    const peg = window.createObstacle({ type: 'peg', x: 0, y: 0, r: 10 });
+    ok('Peg contact pushes ball out', window.obstacleContact(peg, { x: 15, y: 0, r: 10 })?.nx === -1);
+    ok('Arcade physics parameters available', !!(window.getPhysicsEngine('arcade')?.configSchema.some(f => f.key === 'minReflectionAngle') && window.physicsConfig.arcade));
+    ok('Realistic physics parameters available', !!(window.getPhysicsEngine('realistic')?.configSchema.some(f => f.key === 'gravity') && window.physicsConfig.realistic));
+    ok('Physics engines registered', ['arcadeSimple', 'arcade', 'realistic'].every(n => !!window.getPhysicsEngine(n)));
+    ok('Arena shapes registered', ['circle', 'polygon', 'roundedRect', 'stadium', 'rings'].every(n => !!window.ArenaShapes[n]));
   } catch (e) {
     ok('UI features threw', false);
   }
   
+  try {
+    checkRecordingPlans(ok);
+  } catch (e) {
+    ok('Recording plan checks threw', false);
+  }
+
+  try {
+    checkSimulationHistory(ok);
+  } catch (e) {
+    ok('Simulation history checks threw', false);
+  }
+  
   try {
     ok('Frame stepping functions available', !!(window.stepForward && window.stepBackward && window.setSimulationMode));
     ok('State snapshot functions available', !!(window.saveSimulationState && window.restoreSimulationState));
+    ok('History keeps keyframes within a budget', !!(window.tickWithHistory && window.getHistoryStats().memoryBudgetBytes > 0));
+    ok('History branches available', !!(window.getHistoryBranches && window.switchHistoryBranch));
+    ok('Worker batches record into history', !!(window.recordTickedFrames && window.framesUntilHistoryEdit && window.runWorkerBatch));
+    ok('Timeline marks simulation events', Array.isArray(window.getHistoryEvents()) && ['wall', 'obstacle', 'ringBreak'].every(t => t in window.TIMELINE_MARKERS));
+    ok('Obstacle hits and ring breaks have their own sounds', ['obstacle', 'ringBreak'].every(t => t in window.MUSIC_EVENTS));
+    ok('Seed trials report every metric', Object.keys(window.SEED_METRICS).every(k => typeof window.SEED_METRICS[k].format === 'function') && typeof window.runSeedTrial === 'function');
+    ok('Offline render writers available', typeof window.createWebmFile === 'function' && typeof window.createZipFile === 'function');
+    ok('Music settings reject unknown values', window.applyMusicSettings({ scale: 'major' }, { scale: 'nope', root: 200 }).scale === 'major' && window.applyMusicSettings({}, { root: 200 }).root === 96);
+    const midi = new Uint8Array([0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96, 0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 15,
+      0, 0x90, 60, 100, 0, 64, 100, 96, 0x80, 60, 0, 0, 0xff, 0x2f, 0]);
+    ok('MIDI notes starting together form a chord', window.parseMidiFile(midi.buffer).parts[0].steps[0].notes.join() === '60,64');
+    ok('Events can play samples', window.applyMusicSettings({}, { eventSounds: { wall: ' boing ', nope: 'x' } }).eventSounds.wall === 'boing' && typeof window.getSoundSample === 'function');
+    ok('Recorded sound available', typeof window.getRecordingAudioStream === 'function' && typeof window.renderSoundLog === 'function');
+    const replay = { format: 'bouncing-balls-replay', version: 1, frameRange: { start: 5, end: 9 }, keyframes: [{ frameNumber: 5, balls: [], program: null }], programs: [] };
+    ok('Replay files parse', window.parseReplayText(JSON.stringify(replay)).frameRange.end === 9);
+    const rejects = (changes) => {
+      try {
+        window.parseReplayText(JSON.stringify({ ...replay, ...changes }));
+        return false;
+      } catch (err) {
+        return true;
+      }
+    };
+    ok('Broken replay files are rejected before loading', rejects({ frameRange: undefined }) &&
+      rejects({ frameRange: { start: 9, end: 5 } }) && rejects({ keyframes: [{ frameNumber: 6, balls: [] }] }) &&
+      rejects({ keyframes: [{ frameNumber: 5, balls: [], program: 0 }] }));
     ok('Frame stepping UI elements present', !!(UI.btnStepBack && UI.btnStepForward && UI.frameCount));
   } catch (e) {
     ok('Frame stepping features threw', false);
@@ -509,6 +1173,11 @@ function setupEventListeners() {
     UI.stepSizeSelect.addEventListener('change', updateStepControlsUI);
   }
   
+  if (UI.historyKeyframeInterval && UI.historyBudget) {
+    UI.historyKeyframeInterval.addEventListener('change', updateHistorySettings);
+    UI.historyBudget.addEventListener('change', updateHistorySettings);
+  }
+  
   // Seed controls
   UI.btnReseed.addEventListener('click', () => {
     UI.seed.value = 'seed-' + Math.floor(Math.random() * 1e6);
@@ -542,6 +1211,10 @@ function setupEventListeners() {
     window.state.doCollide = UI.chkCollide.checked;
   });
   
+  UI.chkWorker.addEventListener('change', () => {
+    UI.chkWorker.checked = window.setWorkerMode(UI.chkWorker.checked);
+  });
+  
   // Recording controls
   UI.btnRecord.addEventListener('click', () => {
     if (UI.btnRecord.disabled) return;
@@ -575,22 +1248,22 @@ function setupEventListeners() {
     if (v) window.loadPreset(v, window.workspace);
   });
   
-  // Save/Load XML
+  // Save/Load project (blocks + scene sections); older blocks-only XML still loads
   UI.btnExportXml.addEventListener('click', () => {
     try {
-      const dom = window.BX.workspaceToDom(window.workspace);
-      if (dom) {
-        const text = window.BX.domToPrettyText(dom);
-        const blob = new Blob([text], { type: 'text/xml' });
+      const data = window.createProjectData(window.workspace);
+      if (data.blocks) {
+        const text = JSON.stringify(data, null, 2);
+        const blob = new Blob([text], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         UI.downloadLink.href = url;
-        UI.downloadLink.download = 'blocks.xml';
+        UI.downloadLink.download = 'project.json';
         UI.downloadLink.click();
         URL.revokeObjectURL(url);
         return;
       }
     } catch (e) {
-      console.warn('XML export failed', e);
+      console.warn('Project export failed', e);
     }
     alert('This Blockly build may not support XML export.');
   });
@@ -598,18 +1271,27 @@ function setupEventListeners() {
   UI.btnImportXml.addEventListener('click', () => {
     const inp = document.createElement('input');
     inp.type = 'file';
-    inp.accept = '.xml';
+    inp.accept = '.json,.xml';
     inp.onchange = (e) => {
       const f = e.target.files[0];
       if (!f) return;
       const r = new FileReader();
       r.onload = () => {
         try {
-          const dom = window.BX.textToDom(r.result);
-          window.workspace.clear();
-          window.BX.domToWorkspace(dom, window.workspace);
+          const data = window.parseProjectText(r.result);
+          window.applyProjectData(data, window.workspace);
+          if ('obstacles' in data) {
+            UI.obstacleLayout.value = window.arena.obstacles.length ? 'custom' : 'none';
+          }
+          if ('forceFields' in data) {
+            UI.forceFieldLayout.value = window.arena.forceFields.length ? 'custom' : 'none';
+          }
+          if ('arena' in data) syncArenaControls();
+          if ('physics' in data) syncPhysicsControls();
+          if ('music' in data) syncMusicControls();
+          if (!window.state.running) window.renderStatic();
         } catch (err) {
-          alert('Invalid XML');
+          alert('Invalid project file');
         }
       };
       r.readAsText(f);
@@ -617,18 +1299,89 @@ function setupEventListeners() {
     inp.click();
   });
   
+  // Replays: the recorded run, re-simulated on load without the workspace
+  UI.btnSaveReplay.addEventListener('click', () => {
+    let data;
+    try {
+      data = window.createReplayData({ seed: UI.seed.value });
+    } catch (e) {
+      alert(`Replay export failed: ${e.message}`);
+      return;
+    }
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    UI.downloadLink.href = url;
+    UI.downloadLink.download = 'replay.json';
+    UI.downloadLink.click();
+    URL.revokeObjectURL(url);
+  });
+  
+  UI.btnLoadReplay.addEventListener('click', () => {
+    const inp = document.createElement('input');
+    inp.type = 'file';
+    inp.accept = '.json';
+    inp.onchange = (e) => {
+      const f = e.target.files[0];
+      if (!f) return;
+      const r = new FileReader();
+      r.onload = () => {
+        try {
+          window.loadReplay(window.parseReplayText(r.result));
+          syncArenaControls();
+          syncMusicControls();
+          UI.obstacleLayout.value = window.arena.obstacles.length ? 'custom' : 'none';
+          UI.forceFieldLayout.value = window.arena.forceFields.length ? 'custom' : 'none';
+        } catch (err) {
+          console.warn('Replay load failed', err);
+          alert(`Invalid replay file: ${err.message}`);
+        }
+      };
+      r.readAsText(f);
+    };
+    inp.click();
+  });
+  
+  // Restored frames bring their engine and settings along
+  window.addEventListener('historyrestore', syncPhysicsControls);
+  window.addEventListener('historyrestore', syncProgramStatus);
+  
   // Tests
   UI.btnTests.addEventListener('click', runTests);
   
   // Physics engine controls
   UI.physicsSelect.addEventListener('change', switchPhysicsEngine);
   
-  // Physics parameter updates
-  UI.arcadeMinAngle.addEventListener('input', updatePhysicsParameters);
-  UI.arcadeMaxAngle.addEventListener('input', updatePhysicsParameters);
-  UI.realisticGravity.addEventListener('input', updatePhysicsParameters);
-  UI.realisticElasticity.addEventListener('input', updatePhysicsParameters);
-  UI.realisticAirResistance.addEventListener('input', updatePhysicsParameters);
+  // Physics parameter updates (inputs are generated, so listen on the panel)
+  UI.physicsSettings.addEventListener('input', updatePhysicsParameters);
+  UI.physicsSettings.addEventListener('change', updatePhysicsParameters);
+  
+  // Sound settings
+  UI.musicSettings.addEventListener('input', updateMusicSettings);
+  UI.musicSettings.addEventListener('change', updateMusicSettings);
+  $('#btnLoadMidi').addEventListener('click', loadMidiFile);
+  $('#musicMelodyPart').addEventListener('change', useMidiPart);
+  
+  // Engines from separate script files may register after the UI is built
+  window.addEventListener('physicsengineregistered', buildPhysicsSelect);
+  
+  // Arena shape controls
+  UI.arenaShape.addEventListener('change', updateArenaShape);
+  UI.arenaSides.addEventListener('input', updateArenaShape);
+  UI.arenaAspect.addEventListener('input', updateArenaShape);
+  UI.arenaCorner.addEventListener('input', updateArenaShape);
+  UI.arenaRotation.addEventListener('input', updateArenaShape);
+  UI.arenaGapCount.addEventListener('input', updateArenaShape);
+  UI.exitPolicy.addEventListener('change', () => {
+    window.state.exitPolicy = UI.exitPolicy.value;
+  });
+  UI.obstacleLayout.addEventListener('change', applyObstacleLayout);
+  UI.forceFieldLayout.addEventListener('change', applyForceFieldLayout);
+  UI.arenaMotion.addEventListener('change', applyArenaMotionSettings);
+  UI.arenaMotion.addEventListener('input', applyArenaMotionSettings);
+  UI.ringCount.addEventListener('change', () => {
+    rebuildRings();
+    if (!window.state.running) window.renderStatic();
+  });
   
   // Initialize resize functionality
   initResize();
@@ -644,8 +1397,11 @@ function initializeUI() {
   UI.btnPause = $('#btnPause');
   UI.btnReset = $('#btnReset');
   UI.btnApply = $('#btnApply');
+  UI.programStatus = $('#programStatus');
   UI.btnExportXml = $('#btnExportXml');
   UI.btnImportXml = $('#btnImportXml');
+  UI.btnSaveReplay = $('#btnSaveReplay');
+  UI.btnLoadReplay = $('#btnLoadReplay');
   UI.btnRecord = $('#btnRecord');
   UI.btnAutoRecord = $('#btnAutoRecord');
   UI.downloadLink = $('#downloadLink');
@@ -656,6 +1412,7 @@ function initializeUI() {
   UI.chkTrail = $('#chkTrail');
   UI.chkSfx = $('#chkSfx');
   UI.chkCollide = $('#chkCollide');
+  UI.chkWorker = $('#chkWorker');
   UI.presetSelect = $('#presetSelect');
   UI.btnLoadPreset = $('#btnLoadPreset');
   UI.btnTests = $('#btnTests');
@@ -665,14 +1422,27 @@ function initializeUI() {
   UI.recordFps = $('#recordFps');
   UI.recordQuality = $('#recordQuality');
   UI.recordBitrate = $('#recordBitrate');
+  UI.recordMaxSeconds = $('#recordMaxSeconds');
+  UI.recordStopOn = $('#recordStopOn');
+  UI.recordStopValue = $('#recordStopValue');
+  UI.recordTail = $('#recordTail');
+  UI.recordPlanStatus = $('#recordPlanStatus');
   UI.physicsSelect = $('#physicsSelect');
-  UI.arcadeSettings = $('#arcadeSettings');
-  UI.realisticSettings = $('#realisticSettings');
-  UI.arcadeMinAngle = $('#arcadeMinAngle');
-  UI.arcadeMaxAngle = $('#arcadeMaxAngle');
-  UI.realisticGravity = $('#realisticGravity');
-  UI.realisticElasticity = $('#realisticElasticity');
-  UI.realisticAirResistance = $('#realisticAirResistance');
+  UI.physicsSettings = $('#physicsSettings');
+  UI.physicsDescription = $('#physicsDescription');
+  UI.arenaShape = $('#arenaShape');
+  UI.arenaSides = $('#arenaSides');
+  UI.arenaAspect = $('#arenaAspect');
+  UI.arenaCorner = $('#arenaCorner');
+  UI.arenaRotation = $('#arenaRotation');
+  UI.arenaGapCount = $('#arenaGapCount');
+  UI.exitPolicy = $('#exitPolicy');
+  UI.obstacleLayout = $('#obstacleLayout');
+  UI.forceFieldLayout = $('#forceFieldLayout');
+  UI.ringCount = $('#ringCount');
+  UI.ringList = $('#ringList');
+  UI.arenaMotion = $('#arenaMotion');
+  UI.musicSettings = $('#musicSettings');
   
   // Frame stepping control references
   UI.btnStepBack = $('#btnStepBack');
@@ -680,17 +1450,25 @@ function initializeUI() {
   UI.btnToggleMode = $('#btnToggleMode');
   UI.btnResetFrame = $('#btnResetFrame');
   UI.stepSizeSelect = $('#stepSizeSelect');
+  UI.historyKeyframeInterval = $('#historyKeyframeInterval');
+  UI.historyBudget = $('#historyBudget');
   
   // Initialize settings from checkboxes
   window.state.doTrail = UI.chkTrail.checked;
   window.state.doSfx = UI.chkSfx.checked;
   window.state.doCollide = UI.chkCollide.checked;
+  window.state.exitPolicy = UI.exitPolicy.value;
+  updateHistorySettings();
   
   // Initialize physics engine
+  buildPhysicsSelect();
   switchPhysicsEngine();
-  updatePhysicsParameters();
+  updateArenaShape();
+  buildMusicControls();
+  syncMusicControls();
   
   // Setup recording UI
+  window.setRecordingStopHandler(handleRecordingStopRequest);
   enableRecordUI(!!window.MediaRecorder && !!$('#sim').captureStream);
   
   // Initialize recording format options based on browser support
@@ -715,5 +1493,10 @@ function initializeUI() {
 // Export for use in main.js
 window.initializeUI = initializeUI;
 window.applyProgram = applyProgram;
+window.getRecordingBitrate = getRecordingBitrate;
+window.startRecordingPlan = startRecordingPlan;
+window.endRecordingPlan = endRecordingPlan;
+window.isRecordingPlanDone = isRecordingPlanDone;
+window.updateRecordingPlan = updateRecordingPlan;
 window.updateStepControlsUI = updateStepControlsUI;
 window.showHistoryStats = showHistoryStats;
\ No newline at end of file
@@ -2,14 +2,17 @@
  * Utility functions and helpers for the Bouncing Balls Editor
  */
 
-// Global error logging (to diagnose "Script error")
-window.addEventListener('error', (e) => {
-  console.error('[window.onerror]', e.message, e.error || '(no error object)');
-});
-
-window.addEventListener('unhandledrejection', (e) => {
-  console.error('[unhandledrejection]', e.reason);
-});
+// Global error logging (to diagnose "Script error"); browser only, the
+// simulation scripts also load headless (see cli/simulate.js)
+if (typeof window.addEventListener === 'function') {
+  window.addEventListener('error', (e) => {
+    console.error('[window.onerror]', e.message, e.error || '(no error object)');
+  });
+  
+  window.addEventListener('unhandledrejection', (e) => {
+    console.error('[unhandledrejection]', e.reason);
+  });
+}
 
 // Modern+legacy Blockly XML helpers
 const BX = {
@@ -40,14 +43,47 @@ const BX = {
 // Deterministic random number generation
 let rng = Math.random;
 
+/**
+ * Makes seeded generators: (seed, savedState) -> function returning [0, 1)
+ * with a state() method. seedrandom in the browser; other hosts inject
+ * their own with setRngFactory().
+ */
+let rngFactory = (seed, saved) => (saved
+  ? new Math.seedrandom('', { state: saved })
+  : new Math.seedrandom(seed, { state: true })); // state: true lets snapshots save and reinstate it mid-run
+
+function setRngFactory(factory) {
+  rngFactory = factory;
+}
+
 function applySeed(seed) {
   try {
-    rng = new Math.seedrandom(seed || 'default-seed');
+    rng = rngFactory(seed || 'default-seed', null);
   } catch {
     rng = Math.random;
   }
 }
 
+/**
+ * Copy of the generator's internal state, or null when running unseeded
+ */
+function getRngState() {
+  return typeof rng.state === 'function' ? rng.state() : null;
+}
+
+/**
+ * Continue from a state captured by getRngState()
+ */
+function setRngState(saved) {
+  if (!saved) return false;
+  try {
+    rng = rngFactory('', saved);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 function randColor() {
   const h = (rng() * 360) | 0;
   const s = 60 + ((rng() * 30) | 0);
@@ -100,6 +136,9 @@ function hideWarn() {
 // Export utilities for use in other modules
 window.BX = BX;
 window.applySeed = applySeed;
+window.setRngFactory = setRngFactory;
+window.getRngState = getRngState;
+window.setRngState = setRngState;
 window.randColor = randColor;
 window.utils = utils;
 window.rng = () => rng();
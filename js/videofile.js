@@ -0,0 +1,365 @@
+/**
+ * Video Files for Bouncing Balls Editor
+ * Small writers for what offline renders (offline.js) produce: a WebM file
+ * around WebCodecs video (and Opus audio) chunks, a WAV file, and a stored
+ * (uncompressed) zip for PNG frame sequences. The WebM and zip writers keep
+ * their parts as separate buffers and Blobs and only join them into one
+ * Blob at the end.
+ */
+
+// ============================================================================
+// EBML
+// ============================================================================
+
+// Matroska/WebM element ids used here
+const WEBM_IDS = {
+  EBML: 0x1A45DFA3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42F7,
+  EBMLMaxIDLength: 0x42F2,
+  EBMLMaxSizeLength: 0x42F3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  MuxingApp: 0x4D80,
+  WritingApp: 0x5741,
+  Duration: 0x4489,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackNumber: 0xD7,
+  TrackUID: 0x73C5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  CodecPrivate: 0x63A2,
+  DefaultDuration: 0x23E383,
+  Video: 0xE0,
+  PixelWidth: 0xB0,
+  PixelHeight: 0xBA,
+  Audio: 0xE1,
+  SamplingFrequency: 0xB5,
+  Channels: 0x9F,
+  Cluster: 0x1F43B675,
+  Timecode: 0xE7,
+  SimpleBlock: 0xA3
+};
+
+const WEBM_CLUSTER_MS = 30000; // block times are 16-bit offsets from their cluster
+
+// Big-endian bytes of a non-negative integer, at least `minLength` of them
+function ebmlUint(value, minLength = 1) {
+  const bytes = [];
+  for (let v = value; v > 0 || bytes.length < minLength; v = Math.floor(v / 256)) {
+    bytes.unshift(v % 256);
+  }
+  return new Uint8Array(bytes);
+}
+
+// Element data size as a variable-length integer
+function ebmlSize(size) {
+  let length = 1;
+  while (size >= Math.pow(2, 7 * length) - 1) length++;
+  const bytes = ebmlUint(size, length);
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+function ebmlFloat(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+/**
+ * One element as a list of byte parts. `content` is a number (unsigned
+ * int), a string, a Uint8Array, or a list of child elements.
+ */
+function ebmlElement(id, content) {
+  let parts;
+  if (typeof content === 'number') parts = [ebmlUint(content)];
+  else if (typeof content === 'string') parts = [new TextEncoder().encode(content)];
+  else if (content instanceof Uint8Array) parts = [content];
+  else parts = content.flat();
+
+  const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+  return [ebmlUint(id), ebmlSize(size), ...parts];
+}
+
+// ============================================================================
+// WEBM
+// ============================================================================
+
+// Opus identification header, for decoders given no description
+function createOpusHead(channels, sampleRate) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(new TextEncoder().encode('OpusHead'));
+  head[8] = 1; // version
+  head[9] = channels;
+  view.setUint16(10, 312, true); // pre-skip: the encoder's usual look-ahead
+  view.setUint32(12, sampleRate, true);
+  return head;
+}
+
+function bufferBytes(source) {
+  return ArrayBuffer.isView(source)
+    ? new Uint8Array(source.buffer, source.byteOffset, source.byteLength)
+    : new Uint8Array(source);
+}
+
+/**
+ * WebM writer for a video track and optionally one audio track. `codec` is
+ * the Matroska codec id ('V_VP9', 'V_VP8'). Add EncodedVideoChunks in
+ * decode order; for sound, setAudioTrack() and add its chunks too. Then
+ * finish() for the Blob.
+ */
+function createWebmFile({ codec, width, height, fps }) {
+  const blocks = [];
+  let audio = null;
+  let duration = 0;
+
+  function addBlock(track, chunk, fallbackDuration) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const ms = Math.round(chunk.timestamp / 1000);
+    blocks.push({ track, ms, key: chunk.type === 'key', data });
+    duration = Math.max(duration, (chunk.timestamp + (chunk.duration || fallbackDuration)) / 1000);
+  }
+
+  function addVideoChunk(chunk) {
+    addBlock(1, chunk, 1e6 / fps);
+  }
+
+  // `track` is { codec: 'A_OPUS', sampleRate, channels }
+  function setAudioTrack(track) {
+    audio = { ...track, codecPrivate: null };
+  }
+
+  // `meta` is the AudioEncoder's output metadata; its description is the codec header
+  function addAudioChunk(chunk, meta) {
+    const description = meta && meta.decoderConfig && meta.decoderConfig.description;
+    if (description) audio.codecPrivate = bufferBytes(description).slice();
+    addBlock(2, chunk, 0);
+  }
+
+  function finish() {
+    const header = ebmlElement(WEBM_IDS.EBML, [
+      ebmlElement(WEBM_IDS.EBMLVersion, 1),
+      ebmlElement(WEBM_IDS.EBMLReadVersion, 1),
+      ebmlElement(WEBM_IDS.EBMLMaxIDLength, 4),
+      ebmlElement(WEBM_IDS.EBMLMaxSizeLength, 8),
+      ebmlElement(WEBM_IDS.DocType, 'webm'),
+      ebmlElement(WEBM_IDS.DocTypeVersion, 2),
+      ebmlElement(WEBM_IDS.DocTypeReadVersion, 2)
+    ]);
+
+    const info = ebmlElement(WEBM_IDS.Info, [
+      ebmlElement(WEBM_IDS.TimecodeScale, 1000000), // timecodes in ms
+      ebmlElement(WEBM_IDS.MuxingApp, 'Bouncing Balls Editor'),
+      ebmlElement(WEBM_IDS.WritingApp, 'Bouncing Balls Editor'),
+      ebmlElement(WEBM_IDS.Duration, ebmlFloat(duration))
+    ]);
+
+    const tracks = ebmlElement(WEBM_IDS.Tracks, [
+      ebmlElement(WEBM_IDS.TrackEntry, [
+        ebmlElement(WEBM_IDS.TrackNumber, 1),
+        ebmlElement(WEBM_IDS.TrackUID, 1),
+        ebmlElement(WEBM_IDS.TrackType, 1), // video
+        ebmlElement(WEBM_IDS.CodecID, codec),
+        ebmlElement(WEBM_IDS.DefaultDuration, Math.round(1e9 / fps)),
+        ebmlElement(WEBM_IDS.Video, [
+          ebmlElement(WEBM_IDS.PixelWidth, width),
+          ebmlElement(WEBM_IDS.PixelHeight, height)
+        ])
+      ]),
+      audio ? ebmlElement(WEBM_IDS.TrackEntry, [
+        ebmlElement(WEBM_IDS.TrackNumber, 2),
+        ebmlElement(WEBM_IDS.TrackUID, 2),
+        ebmlElement(WEBM_IDS.TrackType, 2), // audio
+        ebmlElement(WEBM_IDS.CodecID, audio.codec),
+        ebmlElement(WEBM_IDS.CodecPrivate, audio.codecPrivate || createOpusHead(audio.channels, audio.sampleRate)),
+        ebmlElement(WEBM_IDS.Audio, [
+          ebmlElement(WEBM_IDS.SamplingFrequency, ebmlFloat(audio.sampleRate)),
+          ebmlElement(WEBM_IDS.Channels, audio.channels)
+        ])
+      ]) : []
+    ]);
+
+    // Tracks interleaved by time. A new cluster at every video key frame, so
+    // each one can be decoded alone.
+    const ordered = blocks.map((block, i) => ({ block, i }))
+      .sort((a, b) => a.block.ms - b.block.ms || a.block.track - b.block.track || a.i - b.i)
+      .map(entry => entry.block);
+    const clusters = [];
+    let cluster = null;
+    for (const block of ordered) {
+      if (!cluster || (block.key && block.track === 1) || block.ms - cluster.ms >= WEBM_CLUSTER_MS) {
+        cluster = { ms: block.ms, children: [ebmlElement(WEBM_IDS.Timecode, block.ms)] };
+        clusters.push(cluster);
+      }
+      const blockHeader = new Uint8Array(4);
+      blockHeader[0] = 0x80 | block.track;
+      new DataView(blockHeader.buffer).setInt16(1, block.ms - cluster.ms);
+      blockHeader[3] = block.key ? 0x80 : 0;
+      cluster.children.push(ebmlElement(WEBM_IDS.SimpleBlock, [[blockHeader, block.data]]));
+    }
+
+    const segment = ebmlElement(WEBM_IDS.Segment, [
+      info,
+      tracks,
+      ...clusters.map(c => ebmlElement(WEBM_IDS.Cluster, c.children))
+    ]);
+    return new Blob([...header, ...segment], { type: 'video/webm' });
+  }
+
+  return { addVideoChunk, setAudioTrack, addAudioChunk, finish };
+}
+
+// ============================================================================
+// WAV
+// ============================================================================
+
+/**
+ * 16-bit PCM WAV of an AudioBuffer
+ */
+function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const bytes = new Uint8Array(44 + frames * channels * 2);
+  const view = new DataView(bytes.buffer);
+  const text = (offset, value) => bytes.set(new TextEncoder().encode(value), offset);
+
+  text(0, 'RIFF');
+  view.setUint32(4, bytes.length - 8, true);
+  text(8, 'WAVE');
+  text(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  text(36, 'data');
+  view.setUint32(40, frames * channels * 2, true);
+
+  const data = [];
+  for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, data[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += 2;
+    }
+  }
+  return new Blob([bytes], { type: 'audio/wav' });
+}
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields
+function zipTimestamp(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Zip writer without compression (PNGs are compressed already). addFile()
+ * reads the Blob once for its checksum and keeps the Blob itself as the
+ * file data. Plain zip limits apply: under 65535 files and 4 GB.
+ */
+function createZipFile() {
+  const parts = [];
+  const entries = [];
+  const stamp = zipTimestamp(new Date());
+  let offset = 0;
+
+  async function addFile(name, blob) {
+    const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+    const nameBytes = new TextEncoder().encode(name);
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true); // local file header
+    view.setUint16(4, 20, true); // version needed
+    view.setUint16(10, stamp.time, true);
+    view.setUint16(12, stamp.date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, blob.size, true);
+    view.setUint32(22, blob.size, true);
+    view.setUint16(26, nameBytes.length, true);
+    header.set(nameBytes, 30);
+
+    entries.push({ nameBytes, crc, size: blob.size, offset });
+    parts.push(header, blob);
+    offset += header.length + blob.size;
+  }
+
+  function finish() {
+    const directoryStart = offset;
+    let directorySize = 0;
+
+    for (const entry of entries) {
+      const record = new Uint8Array(46 + entry.nameBytes.length);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, 0x02014b50, true); // central directory header
+      view.setUint16(4, 20, true); // version made by
+      view.setUint16(6, 20, true); // version needed
+      view.setUint16(12, stamp.time, true);
+      view.setUint16(14, stamp.date, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, entry.size, true);
+      view.setUint32(24, entry.size, true);
+      view.setUint16(28, entry.nameBytes.length, true);
+      view.setUint32(42, entry.offset, true);
+      record.set(entry.nameBytes, 46);
+      parts.push(record);
+      directorySize += record.length;
+    }
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true); // end of central directory
+    view.setUint16(8, entries.length, true);
+    view.setUint16(10, entries.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, directoryStart, true);
+    parts.push(end);
+
+    return new Blob(parts, { type: 'application/zip' });
+  }
+
+  return { addFile, finish };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.createWebmFile = createWebmFile;
+window.encodeWav = encodeWav;
+window.createZipFile = createZipFile;
@@ -0,0 +1,198 @@
+/**
+ * Worker Mode for Bouncing Balls Editor
+ * Optionally runs the continuous simulation in simworker.js instead of on
+ * the main thread. The page stays in charge: every batch of ticks the worker
+ * returns is adopted into window.state and recorded in history as if it had
+ * been ticked here, so stepping, rewinding and snapshots work the same in
+ * both modes. Edits made while a batch is out simply drop that batch.
+ */
+
+// ============================================================================
+// WORKER STATE
+// ============================================================================
+
+const workerMode = {
+  enabled: false,
+  worker: null,
+  nextId: 1,
+  pending: null, // batch in flight: { id, start, key, program, done }
+  syncedKey: null, // workerSyncKey() of the state the worker holds, null = reload it
+  syncedProgram: null,
+  positions: null // last batch's [x, y, r] per ball, for render()
+};
+
+/**
+ * Everything the worker copies from the page, summed up. A batch only
+ * continues from the worker's own state while this is unchanged.
+ */
+function workerSyncKey(frameNumber) {
+  return [
+    frameNumber,
+    window.simulationFingerprint(),
+    window.state.dt,
+    window.projectSectionsFingerprint(),
+    JSON.stringify(window.physicsConfig)
+  ].join('#');
+}
+
+function isWorkerMode() {
+  return workerMode.enabled;
+}
+
+function setWorkerMode(enabled) {
+  workerMode.enabled = !!enabled && typeof Worker === 'function';
+  workerMode.syncedKey = null;
+  workerMode.positions = null;
+  if (enabled && !workerMode.enabled) {
+    window.showWarn('Web Workers are not available here; simulating on the main thread.');
+  }
+  console.log(`Worker simulation ${workerMode.enabled ? 'enabled' : 'disabled'}`);
+  return workerMode.enabled;
+}
+
+// Give up on the worker and carry on without it
+function failWorkerMode(message) {
+  console.warn('Simulation worker failed:', message);
+  window.showWarn('Simulation worker failed (see console); simulating on the main thread.');
+
+  const batch = workerMode.pending;
+  if (workerMode.worker) workerMode.worker.terminate();
+  workerMode.worker = null;
+  workerMode.pending = null;
+  setWorkerMode(false);
+
+  const box = window.$('#chkWorker');
+  if (box) box.checked = false;
+  if (batch) batch.done(null);
+}
+
+function ensureWorker() {
+  if (workerMode.worker) return workerMode.worker;
+
+  try {
+    workerMode.worker = new Worker('js/simworker.js');
+  } catch (err) {
+    failWorkerMode(err.message); // e.g. pages opened from file://
+    return null;
+  }
+  workerMode.worker.onmessage = handleWorkerMessage;
+  workerMode.worker.onerror = (e) => {
+    e.preventDefault();
+    failWorkerMode(e.message || 'worker script error');
+  };
+  workerMode.syncedKey = null;
+  return workerMode.worker;
+}
+
+// ============================================================================
+// BATCHES
+// ============================================================================
+
+/**
+ * Message that sets a simulation worker up like the page: scene, engine
+ * settings, rule program source and the state at `frameNumber`
+ */
+function createWorkerLoadMessage(frameNumber) {
+  const { state } = window;
+  const physicsConfig = {};
+  for (const [name, config] of Object.entries(window.physicsConfig)) {
+    physicsConfig[name] = { ...config };
+  }
+
+  return {
+    type: 'load',
+    scene: window.saveProjectSections(true),
+    physicsConfig,
+    dt: state.dt,
+    program: window.getProgramSource(state.program),
+    snapshot: window.createStateSnapshot(frameNumber)
+  };
+}
+
+/**
+ * Tick `steps` frames from `startFrame` in the worker. `done(end)` is called
+ * once they are adopted, or with null when the batch was dropped. Returns
+ * false when a batch is already in flight or there is no worker.
+ */
+function runWorkerBatch(startFrame, steps, done) {
+  if (workerMode.pending) return false;
+  const worker = ensureWorker();
+  if (!worker) return false;
+
+  const { state } = window;
+  const key = workerSyncKey(startFrame);
+  if (key !== workerMode.syncedKey || state.program !== workerMode.syncedProgram) {
+    try {
+      worker.postMessage(createWorkerLoadMessage(startFrame));
+    } catch (err) {
+      failWorkerMode(err.message); // state that can't be cloned (functions in rule data)
+      return false;
+    }
+  }
+
+  const id = workerMode.nextId++;
+  workerMode.pending = { id, start: startFrame, key, program: state.program, done };
+  worker.postMessage({
+    type: 'run',
+    id,
+    start: startFrame,
+    steps,
+    keyframeInterval: window.historyConfig.keyframeInterval,
+    doSfx: state.doSfx
+  });
+  return true;
+}
+
+function handleWorkerMessage(e) {
+  const data = e.data;
+  if (data.type === 'error') {
+    failWorkerMode(data.message);
+    return;
+  }
+
+  const batch = workerMode.pending;
+  if (!batch || data.id !== batch.id) return;
+  workerMode.pending = null;
+
+  const { state } = window;
+
+  // Paused, rewound or edited while the worker ran: the page's state wins
+  if (!state.running || !workerMode.enabled || state.program !== batch.program ||
+      workerSyncKey(batch.start) !== batch.key) {
+    workerMode.syncedKey = null;
+    workerMode.positions = null;
+    batch.done(null);
+    return;
+  }
+
+  window.recordTickedFrames(batch.start, data.end, data);
+  for (const note of data.sounds) window.pingSfx(note);
+  if (data.recordingStop !== null) window.requestRecordingStop(data.recordingStop);
+
+  // Reaching a recorded edit changes the page's state under the worker
+  const synced = window.simulationFingerprint() === data.snapshot.fingerprint && state.program === batch.program;
+  workerMode.syncedKey = synced ? workerSyncKey(data.end) : null;
+  workerMode.syncedProgram = state.program;
+  workerMode.positions = data.positions;
+  batch.done(data.end);
+}
+
+/**
+ * Positions from the last batch while a worker run is drawing them, else
+ * null (draw from state.balls)
+ */
+function workerBallPositions() {
+  const positions = workerMode.positions;
+  if (!workerMode.enabled || !window.state.running || !positions) return null;
+  return positions.length === window.state.balls.length * 3 ? positions : null;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.isWorkerMode = isWorkerMode;
+window.setWorkerMode = setWorkerMode;
+window.runWorkerBatch = runWorkerBatch;
+window.createWorkerLoadMessage = createWorkerLoadMessage;
+window.workerBallPositions = workerBallPositions;